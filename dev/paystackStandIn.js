@@ -0,0 +1,256 @@
+// dev/paystackStandIn.js
+
+const express = require("express");
+const crypto = require("crypto");
+
+/* =========================
+   PAYSTACK STAND-IN
+   Just enough of the Paystack API, in memory, to save bank accounts,
+   run transfers, top-ups and reconciliation without touching the real
+   account. The tests in test/ run against it too.
+
+     node dev/paystackStandIn.js            # listens on PORT or 4010
+     PAYSTACK_BASE_URL=http://localhost:4010 node server.js
+
+   Seed or tamper with records through /__standin to stage mismatches.
+========================= */
+function paginate(items, query) {
+  const from = query.from ? Date.parse(query.from) : -Infinity;
+  const to = query.to ? Date.parse(query.to) : Infinity;
+  const perPage = Math.min(Number(query.perPage) || 50, 100);
+  const page = Math.max(Number(query.page) || 1, 1);
+
+  const matching = items
+    .filter((item) => {
+      const at = Date.parse(item.createdAt);
+      return at >= from && at <= to;
+    })
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+
+  return {
+    status: true,
+    message: "Retrieved",
+    data: matching.slice((page - 1) * perPage, page * perPage),
+    meta: {
+      total: matching.length,
+      perPage,
+      page,
+      pageCount: Math.max(Math.ceil(matching.length / perPage), 1),
+    },
+  };
+}
+
+function notFound(res, message) {
+  res.status(404).json({ status: false, message });
+}
+
+const DEFAULT_BANKS = [
+  { name: "Access Bank", code: "044" },
+  { name: "Guaranty Trust Bank", code: "058" },
+  { name: "Zenith Bank", code: "057" },
+];
+
+function accountKey(bankCode, accountNumber) {
+  return `${bankCode}:${accountNumber}`;
+}
+
+// accounts: [{ bankCode, accountNumber, accountName }] that /bank/resolve
+// knows; any other number fails to resolve, as at Paystack
+function createPaystackStandIn({
+  transfers = [],
+  transactions = [],
+  accounts = [],
+  banks = DEFAULT_BANKS,
+} = {}) {
+  const state = {
+    transfers: new Map(transfers.map((t) => [t.reference, { ...t }])),
+    transactions: new Map(transactions.map((t) => [t.reference, { ...t }])),
+    accounts: new Map(
+      accounts.map((a) => [accountKey(a.bankCode, a.accountNumber), a]),
+    ),
+    recipients: new Map(),
+    banks,
+  };
+
+  const app = express();
+  app.use(express.json());
+
+  /* ---------- banks and recipients ---------- */
+  app.get("/bank", (req, res) => {
+    res.json({ status: true, message: "Banks retrieved", data: state.banks });
+  });
+
+  app.get("/bank/resolve", (req, res) => {
+    const { account_number: accountNumber, bank_code: bankCode } = req.query;
+    const account = state.accounts.get(accountKey(bankCode, accountNumber));
+    if (!account) {
+      return res
+        .status(422)
+        .json({ status: false, message: "Could not resolve account name" });
+    }
+    res.json({
+      status: true,
+      message: "Account number resolved",
+      data: {
+        account_number: account.accountNumber,
+        account_name: account.accountName,
+      },
+    });
+  });
+
+  app.post("/transferrecipient", (req, res) => {
+    const {
+      name,
+      account_number: accountNumber,
+      bank_code: bankCode,
+    } = req.body;
+    if (!state.accounts.has(accountKey(bankCode, accountNumber))) {
+      return res
+        .status(422)
+        .json({ status: false, message: "Cannot resolve account" });
+    }
+
+    const recipient = {
+      recipient_code: `RCP_${crypto.randomBytes(6).toString("hex")}`,
+      type: req.body.type || "nuban",
+      name,
+      currency: req.body.currency || "NGN",
+      details: { account_number: accountNumber, bank_code: bankCode },
+      createdAt: new Date().toISOString(),
+    };
+    state.recipients.set(recipient.recipient_code, recipient);
+    res.status(201).json({
+      status: true,
+      message: "Transfer recipient created",
+      data: recipient,
+    });
+  });
+
+  /* ---------- transfers ---------- */
+  app.post("/transfer", (req, res) => {
+    const { amount, reference, recipient, reason } = req.body;
+    if (!amount || !recipient) {
+      return res
+        .status(400)
+        .json({ status: false, message: "amount and recipient are required" });
+    }
+    if (reference && state.transfers.has(reference)) {
+      return res
+        .status(400)
+        .json({ status: false, message: "Duplicate transfer reference" });
+    }
+
+    const transfer = {
+      reference: reference || crypto.randomUUID(),
+      transfer_code: `TRF_${crypto.randomBytes(6).toString("hex")}`,
+      amount,
+      recipient,
+      reason: reason || null,
+      currency: "NGN",
+      status: "pending",
+      createdAt: new Date().toISOString(),
+    };
+    state.transfers.set(transfer.reference, transfer);
+    res.json({ status: true, message: "Transfer queued", data: transfer });
+  });
+
+  app.get("/transfer", (req, res) => {
+    res.json(paginate([...state.transfers.values()], req.query));
+  });
+
+  /* ---------- transactions ---------- */
+  app.post("/transaction/initialize", (req, res) => {
+    const { amount, email, reference } = req.body;
+    const transaction = {
+      reference: reference || crypto.randomUUID(),
+      amount,
+      currency: "NGN",
+      customer: { email },
+      metadata: req.body.metadata || null,
+      status: "abandoned",
+      createdAt: new Date().toISOString(),
+    };
+    state.transactions.set(transaction.reference, transaction);
+
+    const accessCode = crypto.randomBytes(8).toString("hex");
+    res.json({
+      status: true,
+      message: "Authorization URL created",
+      data: {
+        authorization_url: `http://localhost/standin/checkout/${accessCode}`,
+        access_code: accessCode,
+        reference: transaction.reference,
+      },
+    });
+  });
+
+  app.get("/transaction/verify/:reference", (req, res) => {
+    const transaction = state.transactions.get(req.params.reference);
+    if (!transaction) return notFound(res, "Transaction reference not found");
+    res.json({
+      status: true,
+      message: "Verification successful",
+      data: transaction,
+    });
+  });
+
+  app.get("/transaction", (req, res) => {
+    res.json(paginate([...state.transactions.values()], req.query));
+  });
+
+  /* ---------- stand-in controls ---------- */
+  // Adds or replaces records:
+  // { transfers?: [...], transactions?: [...], accounts?: [...] }
+  app.post("/__standin/seed", (req, res) => {
+    for (const key of ["transfers", "transactions"]) {
+      for (const item of req.body[key] || []) {
+        state[key].set(item.reference, {
+          createdAt: new Date().toISOString(),
+          ...item,
+        });
+      }
+    }
+    for (const account of req.body.accounts || []) {
+      state.accounts.set(
+        accountKey(account.bankCode, account.accountNumber),
+        account,
+      );
+    }
+    res.json({
+      transfers: state.transfers.size,
+      transactions: state.transactions.size,
+      accounts: state.accounts.size,
+    });
+  });
+
+  // Changes fields on one record, e.g. { status: "success" } or { amount }
+  app.patch("/__standin/:kind/:reference", (req, res) => {
+    const { kind, reference } = req.params;
+    const item =
+      ["transfers", "transactions"].includes(kind) &&
+      state[kind].get(reference);
+    if (!item) return notFound(res, "Record not found");
+
+    Object.assign(item, req.body);
+    res.json({ status: true, data: item });
+  });
+
+  app.post("/__standin/reset", (req, res) => {
+    state.transfers.clear();
+    state.transactions.clear();
+    state.accounts.clear();
+    state.recipients.clear();
+    res.json({ status: true });
+  });
+
+  return { app, state };
+}
+
+module.exports = { createPaystackStandIn };
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 4010;
+  createPaystackStandIn().app.listen(port, () => {
+    console.log(`🧪 Paystack stand-in listening on http://localhost:${port}`);
+  });
+}
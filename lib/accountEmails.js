@@ -0,0 +1,181 @@
+// lib/accountEmails.js
+
+const crypto = require("crypto");
+const { admin, db } = require("./firebase");
+const { HttpError } = require("./errors");
+const outbox = require("./outbox");
+
+const actionCodeSettings = {
+  url: "https://www.step-technologies.com",
+  handleCodeInApp: false,
+};
+
+/* =========================
+   PER-ADDRESS LIMITS
+   At most EMAIL_MAX_PER_HOUR sends of one kind to one address, and
+   EMAIL_COOLDOWN_MS between them. Counted whether or not the account
+   exists, so hitting the limit says nothing about the address.
+========================= */
+const EMAIL_COOLDOWN_MS = Number(process.env.EMAIL_COOLDOWN_MS || 60 * 1000);
+const EMAIL_MAX_PER_HOUR = Number(process.env.EMAIL_MAX_PER_HOUR || 5);
+const HOUR_MS = 60 * 60 * 1000;
+
+const limitsRef = db.collection("EmailRateLimits");
+
+function normalizeEmail(email) {
+  return String(email || "")
+    .trim()
+    .toLowerCase();
+}
+
+function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+// Hashed so the collection isn't a list of addresses people tried
+function limitKey(kind, email) {
+  return crypto.createHash("sha256").update(`${kind}:${email}`).digest("hex");
+}
+
+async function takeEmailSlot(kind, email) {
+  const ref = limitsRef.doc(limitKey(kind, email));
+  const now = Date.now();
+
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const sentAt = (snap.exists ? snap.data().sentAt : []).filter(
+      (at) => at > now - HOUR_MS,
+    );
+
+    const last = sentAt.length ? Math.max(...sentAt) : 0;
+    const retryAfterMs =
+      sentAt.length >= EMAIL_MAX_PER_HOUR
+        ? Math.min(...sentAt) + HOUR_MS - now
+        : last + EMAIL_COOLDOWN_MS - now;
+
+    if (retryAfterMs > 0) {
+      const err = new HttpError(
+        429,
+        "Too many emails requested, try again later",
+        "EMAIL_RATE_LIMITED",
+        { retryAfter: Math.ceil(retryAfterMs / 1000) },
+      );
+      err.retryAfter = err.details.retryAfter;
+      throw err;
+    }
+
+    tx.set(ref, { kind, sentAt: [...sentAt, now], updatedAt: now });
+  });
+}
+
+async function findUser(email) {
+  try {
+    return await admin.auth().getUserByEmail(email);
+  } catch (err) {
+    if (err.code === "auth/user-not-found") return null;
+    throw err;
+  }
+}
+
+/* =========================
+   LINKS
+   Made when the outbox delivers the email, never stored with it, so
+   Outbox docs don't hold live reset or change-email links and a retry
+   gets a fresh one.
+========================= */
+const LINK_GENERATORS = {
+  email_verification: ({ to }) =>
+    admin.auth().generateEmailVerificationLink(to, actionCodeSettings),
+  password_reset: ({ to }) =>
+    admin.auth().generatePasswordResetLink(to, actionCodeSettings),
+  email_change: ({ to, vars }) =>
+    admin
+      .auth()
+      .generateVerifyAndChangeEmailLink(
+        vars.currentEmail,
+        to,
+        actionCodeSettings,
+      ),
+};
+
+// The template vars for an outbox payload, with its link added
+async function withLink({ to, template, vars = {} }) {
+  const generate = LINK_GENERATORS[template];
+  if (!generate) throw new Error(`No link for email template ${template}`);
+  return { ...vars, link: await generate({ to, vars }) };
+}
+
+/* =========================
+   BACKGROUND SEND
+   Callers answer before the lookup happens, so response time doesn't
+   reveal whether the account exists either. The email itself goes
+   through the outbox.
+========================= */
+function inBackground(label, work) {
+  work().catch((err) => console.error(`❌ ${label} failed:`, err.message));
+}
+
+function normalizedOrThrow(email) {
+  const normalized = normalizeEmail(email);
+  if (!isValidEmail(normalized)) {
+    throw new HttpError(400, "A valid email is required", "INVALID_EMAIL");
+  }
+  return normalized;
+}
+
+/* =========================
+   FLOWS
+========================= */
+async function requestVerificationEmail(email) {
+  const address = normalizedOrThrow(email);
+  await takeEmailSlot("verification", address);
+
+  inBackground("Verification email", async () => {
+    const user = await findUser(address);
+    if (!user || user.emailVerified) return;
+
+    await outbox.enqueueAccountEmail(address, "email_verification");
+  });
+}
+
+async function requestPasswordReset(email) {
+  const address = normalizedOrThrow(email);
+  await takeEmailSlot("password_reset", address);
+
+  inBackground("Password reset email", async () => {
+    const user = await findUser(address);
+    if (!user) return;
+
+    await outbox.enqueueAccountEmail(address, "password_reset");
+  });
+}
+
+// The link goes to the new address; the change only happens once it's
+// clicked there
+async function requestEmailChange(user, newEmail) {
+  const address = normalizedOrThrow(newEmail);
+  if (!user.email) {
+    throw new HttpError(400, "Account has no email", "NO_CURRENT_EMAIL");
+  }
+  if (address === normalizeEmail(user.email)) {
+    throw new HttpError(400, "That is already your email", "SAME_EMAIL");
+  }
+  await takeEmailSlot("email_change", address);
+
+  inBackground("Email change email", async () => {
+    // Taken addresses get nothing, and the caller can't tell
+    if (await findUser(address)) return;
+
+    await outbox.enqueueAccountEmail(address, "email_change", {
+      currentEmail: user.email,
+    });
+  });
+}
+
+module.exports = {
+  normalizeEmail,
+  withLink,
+  requestVerificationEmail,
+  requestPasswordReset,
+  requestEmailChange,
+};
@@ -0,0 +1,78 @@
+// lib/auth.js
+
+const { admin } = require("./firebase");
+const { HttpError } = require("./errors");
+
+function unauthorized() {
+  return new HttpError(401, "Unauthorized", "UNAUTHORIZED");
+}
+
+function forbidden() {
+  return new HttpError(403, "Forbidden", "FORBIDDEN");
+}
+
+/* =========================
+   FIREBASE ID TOKEN GUARD
+   Expects "Authorization: Bearer <idToken>" and sets req.user from the
+   verified token. Handlers take the acting user from req.user, never
+   from the body.
+========================= */
+async function requireAuth(req, res, next) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return next(unauthorized());
+  }
+
+  try {
+    const decoded = await admin.auth().verifyIdToken(token);
+    req.user = {
+      uid: decoded.uid,
+      email: decoded.email || null,
+      emailVerified: !!decoded.email_verified,
+      claims: decoded,
+    };
+    next();
+  } catch (err) {
+    console.error("❌ ID token rejected:", err.code || err.message);
+    return next(unauthorized());
+  }
+}
+
+/* =========================
+   ROLE GUARD
+   Roles are custom claims, e.g. { admin: true }. Use after requireAuth.
+========================= */
+function hasRole(user, role) {
+  return !!user && user.claims[role] === true;
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+      return next(forbidden());
+    }
+    next();
+  };
+}
+
+const requireAdmin = requireRole("admin");
+
+// Routes keyed by :userId are open to that user and to admins
+function requireSelfOrAdmin(param = "userId") {
+  return (req, res, next) => {
+    if (req.params[param] !== req.user.uid && !hasRole(req.user, "admin")) {
+      return next(forbidden());
+    }
+    next();
+  };
+}
+
+module.exports = {
+  requireAuth,
+  requireRole,
+  requireAdmin,
+  requireSelfOrAdmin,
+  hasRole,
+};
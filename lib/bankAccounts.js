@@ -0,0 +1,191 @@
+// lib/bankAccounts.js
+
+const { admin, db } = require("./firebase");
+const { HttpError } = require("./errors");
+const { paystackPost, paystackGet } = require("./paystack");
+
+const BANKS_CACHE_MS = 24 * 60 * 60 * 1000;
+
+let banksCache = null;
+
+function accountsRef(userId) {
+  return db.collection("users").doc(userId).collection("BankAccounts");
+}
+
+function maskAccountNumber(accountNumber) {
+  return `******${String(accountNumber).slice(-4)}`;
+}
+
+function toPublic(id, account) {
+  return {
+    id,
+    bankCode: account.bankCode,
+    bankName: account.bankName || null,
+    accountName: account.accountName,
+    accountNumber: maskAccountNumber(account.accountNumber),
+    createdAt: account.createdAt || null,
+  };
+}
+
+/* =========================
+   BANKS
+========================= */
+async function listBanks() {
+  if (banksCache && banksCache.expiresAt > Date.now()) {
+    return banksCache.banks;
+  }
+
+  const banksRes = await paystackGet("/bank", {
+    country: "nigeria",
+    currency: "NGN",
+  });
+  const banks = banksRes.data.map((bank) => ({
+    name: bank.name,
+    code: bank.code,
+  }));
+
+  banksCache = { banks, expiresAt: Date.now() + BANKS_CACHE_MS };
+  return banks;
+}
+
+async function bankName(bankCode) {
+  const banks = await listBanks().catch(() => []);
+  const bank = banks.find((b) => b.code === bankCode);
+  return bank ? bank.name : null;
+}
+
+/* =========================
+   RESOLVE
+========================= */
+async function resolveAccount(accountNumber, bankCode) {
+  if (!/^\d{10}$/.test(String(accountNumber))) {
+    throw new HttpError(
+      400,
+      "Account number must be 10 digits",
+      "INVALID_ACCOUNT_NUMBER",
+    );
+  }
+
+  try {
+    const resolveRes = await paystackGet("/bank/resolve", {
+      account_number: accountNumber,
+      bank_code: bankCode,
+    });
+    return {
+      accountNumber: resolveRes.data.account_number,
+      accountName: resolveRes.data.account_name,
+      bankCode,
+    };
+  } catch (err) {
+    if (err.response) {
+      throw new HttpError(
+        400,
+        "Could not resolve account",
+        "ACCOUNT_NOT_RESOLVED",
+      );
+    }
+    throw err;
+  }
+}
+
+/* =========================
+   NAME CHECK
+   Bank names come back as "SURNAME FIRSTNAME OTHER" in any order, so
+   compare name parts rather than the full string.
+========================= */
+function nameParts(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, " ")
+    .split(/\s+/)
+    .filter((part) => part.length > 1);
+}
+
+function namesMatch(profileName, accountName) {
+  const profile = nameParts(profileName);
+  const account = new Set(nameParts(accountName));
+  if (!profile.length || !account.size) return false;
+
+  const matched = profile.filter((part) => account.has(part)).length;
+  return matched >= Math.min(2, profile.length);
+}
+
+/* =========================
+   SAVE / LIST / DELETE
+========================= */
+async function saveAccount(userId, { accountNumber, bankCode }) {
+  const resolved = await resolveAccount(accountNumber, bankCode);
+
+  const userSnap = await db.collection("users").doc(userId).get();
+  const profileName = userSnap.exists ? userSnap.data().name : null;
+
+  if (!namesMatch(profileName, resolved.accountName)) {
+    throw new HttpError(
+      400,
+      "Account name does not match your profile",
+      "ACCOUNT_NAME_MISMATCH",
+    );
+  }
+
+  const id = `${bankCode}-${resolved.accountNumber}`;
+  const ref = accountsRef(userId).doc(id);
+  const existing = await ref.get();
+  if (existing.exists) return toPublic(id, existing.data());
+
+  const recipientRes = await paystackPost("/transferrecipient", {
+    type: "nuban",
+    name: resolved.accountName,
+    account_number: resolved.accountNumber,
+    bank_code: bankCode,
+    currency: "NGN",
+  });
+
+  const account = {
+    bankCode,
+    bankName: await bankName(bankCode),
+    accountNumber: resolved.accountNumber,
+    accountName: resolved.accountName,
+    recipientCode: recipientRes.data.recipient_code,
+    verifiedAt: Date.now(),
+    createdAt: Date.now(),
+  };
+
+  await ref.set({
+    ...account,
+    savedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return toPublic(id, account);
+}
+
+async function listAccounts(userId) {
+  const snap = await accountsRef(userId).orderBy("createdAt", "desc").get();
+  return snap.docs.map((doc) => toPublic(doc.id, doc.data()));
+}
+
+// Full record, including the recipient code, for payouts
+async function getAccount(userId, accountId) {
+  const snap = await accountsRef(userId).doc(accountId).get();
+  if (!snap.exists) {
+    throw new HttpError(
+      404,
+      "Bank account not found",
+      "BANK_ACCOUNT_NOT_FOUND",
+    );
+  }
+  return { id: snap.id, ...snap.data() };
+}
+
+async function deleteAccount(userId, accountId) {
+  await getAccount(userId, accountId);
+  await accountsRef(userId).doc(accountId).delete();
+}
+
+module.exports = {
+  listBanks,
+  resolveAccount,
+  saveAccount,
+  listAccounts,
+  getAccount,
+  deleteAccount,
+};
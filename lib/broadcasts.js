@@ -0,0 +1,185 @@
+// lib/broadcasts.js
+
+const { admin, db } = require("./firebase");
+const { getJob } = require("./jobs");
+const notifications = require("./notifications");
+const inbox = require("./inbox");
+const preferences = require("./preferences");
+const outbox = require("./outbox");
+
+const USERS_PAGE_SIZE = 500;
+
+const campaignsRef = db.collection("NotificationCampaigns");
+
+/* =========================
+   AUDIENCE
+   Same campus as the job, at least one matching skill when the job
+   lists skills, opted in to the job's category, and never the author.
+   Users who never picked categories still get every category.
+========================= */
+function audienceFor(job) {
+  return {
+    university: job.university || null,
+    skills: Array.isArray(job.skills) ? job.skills : [],
+    category: job.category || null,
+    excludeUserId: job.userId || null,
+  };
+}
+
+function matchesAudience(userId, user, audience) {
+  if (userId === audience.excludeUserId) return false;
+
+  if (audience.skills.length) {
+    const userSkills = Array.isArray(user.skills) ? user.skills : [];
+    const wanted = new Set(audience.skills.map((s) => s.toLowerCase()));
+    if (!userSkills.some((s) => wanted.has(String(s).toLowerCase()))) {
+      return false;
+    }
+  }
+
+  if (audience.category && Array.isArray(user.jobCategories)) {
+    if (!user.jobCategories.includes(audience.category)) return false;
+  }
+
+  return true;
+}
+
+// Walks the users collection page by page so it never sits in memory
+async function forEachAudiencePage(audience, onPage) {
+  let query = db.collection("users");
+  if (audience.university) {
+    query = query.where("university", "==", audience.university);
+  }
+  query = query
+    .orderBy(admin.firestore.FieldPath.documentId())
+    .limit(USERS_PAGE_SIZE);
+
+  let last = null;
+  for (;;) {
+    const snap = await (last ? query.startAfter(last) : query).get();
+    if (snap.empty) break;
+
+    const users = snap.docs
+      .filter((doc) => matchesAudience(doc.id, doc.data(), audience))
+      .map((doc) => ({ userId: doc.id, token: doc.data().expoPushToken }));
+    await onPage(users);
+
+    if (snap.size < USERS_PAGE_SIZE) break;
+    last = snap.docs[snap.docs.length - 1];
+  }
+}
+
+/* =========================
+   JOB BROADCAST
+========================= */
+async function broadcastJob({ jobId, title, body, dryRun = false, createdBy }) {
+  const job = await getJob(jobId);
+  const audience = audienceFor(job);
+  const content = notifications.renderTemplate("job", {
+    jobId,
+    jobTitle: job.title,
+    description: job.description,
+    title,
+    body,
+  });
+
+  if (dryRun) {
+    let targeted = 0;
+    await forEachAudiencePage(audience, async (users) => {
+      targeted += users.length;
+    });
+    return { dryRun: true, jobId, audience, targeted };
+  }
+
+  const campaignRef = campaignsRef.doc();
+  await campaignRef.set({
+    type: "job",
+    jobId,
+    audience,
+    createdBy: createdBy || null,
+    status: "running",
+    targeted: 0,
+    queued: 0,
+    skipped: 0,
+    deferred: 0,
+    startedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  const totals = { targeted: 0, queued: 0, skipped: 0, deferred: 0 };
+  try {
+    await forEachAudiencePage(audience, async (users) => {
+      const inboxIds = await inbox.addManyToInbox(
+        users.map((user) => user.userId),
+        content,
+      );
+      const prefsByUser = await preferences.getManyPreferences(
+        users.map((user) => user.userId),
+      );
+
+      // Same rules as notifyUser: opted out of job pushes is skipped,
+      // quiet hours wait for the window to end, and the rest go through
+      // the outbox so a failed send is retried
+      const now = Date.now();
+      const deliveries = [];
+      const deferred = [];
+      let skipped = 0;
+      for (const user of users) {
+        const userContent = {
+          ...content,
+          data: { ...content.data, notificationId: inboxIds.get(user.userId) },
+        };
+        const decision = notifications.pushDecision(
+          prefsByUser.get(user.userId),
+          "job",
+          { jobId },
+          now,
+        );
+
+        if (decision.reason === "DEFERRED") {
+          deferred.push({
+            userId: user.userId,
+            content: userContent,
+            deliverAt: decision.deliverAt,
+          });
+        } else if (!decision.send || !user.token) {
+          skipped += 1;
+        } else {
+          deliveries.push({ userId: user.userId, content: userContent });
+        }
+      }
+
+      await notifications.deferPushes(deferred);
+      await outbox.enqueuePushes(deliveries);
+
+      totals.targeted += users.length;
+      totals.queued += deliveries.length;
+      totals.skipped += skipped;
+      totals.deferred += deferred.length;
+      await campaignRef.update(totals);
+    });
+  } catch (err) {
+    await campaignRef.update({
+      ...totals,
+      status: "failed",
+      error: err.message,
+      completedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    throw err;
+  }
+
+  await campaignRef.update({
+    ...totals,
+    status: "completed",
+    completedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  console.log(`📣 Job ${jobId} broadcast queued for ${totals.queued} users`);
+  return { campaignId: campaignRef.id, jobId, ...totals };
+}
+
+async function getCampaign(campaignId) {
+  const snap = await campaignsRef.doc(campaignId).get();
+  return snap.exists ? { id: snap.id, ...snap.data() } : null;
+}
+
+module.exports = { audienceFor, matchesAudience, broadcastJob, getCampaign };
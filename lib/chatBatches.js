@@ -0,0 +1,122 @@
+// lib/chatBatches.js
+
+const { admin, db } = require("./firebase");
+const notifications = require("./notifications");
+
+/* =========================
+   CHAT PUSH BATCHING
+   The first message in a quiet room pushes straight away and opens a
+   window. Messages inside the window are counted and go out as one
+   "N new messages from X" push when it closes.
+========================= */
+const CHAT_BATCH_WINDOW_MS = Number(
+  process.env.CHAT_BATCH_WINDOW_MS || 60 * 1000,
+);
+
+const batchesRef = db.collection("ChatPushBatches");
+
+function sendBatched(receiverId, { roomId, senderName, lastMessage, count }) {
+  if (count === 1) {
+    return notifications.notifyUser(receiverId, "chat", {
+      senderName,
+      message: lastMessage,
+      roomId,
+    });
+  }
+  return notifications.notifyUser(receiverId, "chat_digest", {
+    senderName,
+    count,
+    roomId,
+  });
+}
+
+async function flushChatBatch(batchId) {
+  const ref = batchesRef.doc(batchId);
+
+  const batch = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+
+    tx.delete(ref);
+    const stored = snap.data();
+    return stored.pending > 0 ? stored : null;
+  });
+  if (!batch) return null;
+
+  return sendBatched(batch.receiverId, { ...batch, count: batch.pending });
+}
+
+// roomId is required: it keys the batch. senderName is optional and
+// stored as null, since Firestore refuses undefined
+async function queueChatMessage({
+  receiverId,
+  roomId,
+  senderName = null,
+  message,
+}) {
+  if (!roomId) throw new Error("queueChatMessage needs a roomId");
+
+  const ref = batchesRef.doc(`${receiverId}_${roomId}`);
+  const now = Date.now();
+
+  const outcome = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const existing = snap.exists ? snap.data() : null;
+
+    if (!existing || existing.windowEndsAt <= now) {
+      tx.set(ref, {
+        receiverId,
+        roomId,
+        senderName,
+        lastMessage: message,
+        pending: 0,
+        windowEndsAt: now + CHAT_BATCH_WINDOW_MS,
+      });
+      // Anything left over from a window nobody flushed goes out now too
+      return { immediate: true, count: (existing ? existing.pending : 0) + 1 };
+    }
+
+    tx.update(ref, {
+      senderName,
+      lastMessage: message,
+      pending: admin.firestore.FieldValue.increment(1),
+    });
+    return {
+      immediate: false,
+      firstPending: existing.pending === 0,
+      windowEndsAt: existing.windowEndsAt,
+    };
+  });
+
+  if (outcome.immediate) {
+    return sendBatched(receiverId, {
+      roomId,
+      senderName,
+      lastMessage: message,
+      count: outcome.count,
+    });
+  }
+
+  if (outcome.firstPending) {
+    setTimeout(() => {
+      flushChatBatch(ref.id).catch((err) =>
+        console.error("❌ Chat batch flush failed:", err),
+      );
+    }, outcome.windowEndsAt - now);
+  }
+
+  return { sent: 0, failed: 0, skipped: 0, reason: "BATCHED" };
+}
+
+// Catches windows whose timer died with the process that set it
+async function flushDueChatBatches() {
+  const snap = await batchesRef.where("windowEndsAt", "<=", Date.now()).get();
+
+  let flushed = 0;
+  for (const doc of snap.docs) {
+    if (await flushChatBatch(doc.id)) flushed += 1;
+  }
+  return { flushed };
+}
+
+module.exports = { queueChatMessage, flushChatBatch, flushDueChatBatches };
@@ -0,0 +1,198 @@
+// lib/chatModeration.js
+
+const { admin, db } = require("./firebase");
+const { HttpError } = require("./errors");
+const moderation = require("./moderation");
+const { evaluateChatMessage } = require("./moderationRules");
+const notifications = require("./notifications");
+
+const CHAT_LABELS = ["CHAT_OK", "OFF_PLATFORM_PAYMENT", "BANK_DETAILS", "SCAM"];
+
+const REPEAT_OFFENDER_MIN_FLAGS = Number(
+  process.env.REPEAT_OFFENDER_MIN_FLAGS || 3,
+);
+
+const roomFlagsRef = db.collection("ChatRoomFlags");
+const offendersRef = db.collection("ChatOffenders");
+
+function flagsRef(roomId) {
+  return roomFlagsRef.doc(roomId).collection("Flags");
+}
+
+const CHAT_PROMPT = `
+You are a safety moderator for chat messages on a university campus freelance marketplace.
+
+Payments on this platform must go through escrow. Classify one chat message as:
+- CHAT_OK: normal conversation about the work.
+- OFF_PLATFORM_PAYMENT: asks to pay or be paid outside the app, skip escrow, or move to another channel to pay.
+- BANK_DETAILS: shares or asks for bank account details.
+- SCAM: upfront fees, crypto schemes, requests for PINs, OTPs, BVN or card details.
+
+Also return how confident you are in the label, from 0 to 1.
+
+Return ONLY valid JSON.
+
+Example:
+{"label":"CHAT_OK","reason":"Short explanation","confidence":0.95}
+`;
+
+/* =========================
+   SCORE MESSAGE
+   Same stack as posts: rules first, the model only when the rules
+   found something but not enough to decide. Clean messages never
+   reach the model, so chat stays fast and cheap.
+========================= */
+async function scoreMessage(message) {
+  const rules = evaluateChatMessage(message);
+  const matchedRules = rules.matches.map((m) => m.rule);
+
+  if (rules.decisive || !matchedRules.length) {
+    return {
+      source: "rules",
+      label: rules.label,
+      reason: matchedRules.length
+        ? `Matched rules: ${matchedRules.join(", ")}`
+        : null,
+      confidence: rules.decisive ? 1 : null,
+      matchedRules,
+    };
+  }
+
+  const result = await moderation.askModel(CHAT_PROMPT, message, CHAT_LABELS);
+  if (!result.error) {
+    return { source: "ai", ...result, matchedRules };
+  }
+
+  return {
+    source: "rules_fallback",
+    fallback: true,
+    label: rules.label,
+    reason: `AI unavailable; matched rules: ${matchedRules.join(", ")}`,
+    confidence: null,
+    matchedRules,
+  };
+}
+
+/* =========================
+   FLAG
+   Kept under the room, with a per-sender tally for the offender report.
+========================= */
+async function recordFlag({ roomId, senderId, receiverId, message }, result) {
+  const flagRef = flagsRef(roomId).doc();
+  const FieldValue = admin.firestore.FieldValue;
+  const now = Date.now();
+
+  const batch = db.batch();
+  batch.set(flagRef, {
+    roomId,
+    senderId,
+    receiverId,
+    message,
+    label: result.label,
+    reason: result.reason || null,
+    confidence: result.confidence == null ? null : result.confidence,
+    source: result.source,
+    matchedRules: result.matchedRules,
+    flaggedAt: now,
+  });
+  batch.set(
+    roomFlagsRef.doc(roomId),
+    { roomId, flagCount: FieldValue.increment(1), lastFlaggedAt: now },
+    { merge: true },
+  );
+  batch.set(
+    offendersRef.doc(senderId),
+    {
+      userId: senderId,
+      flagCount: FieldValue.increment(1),
+      rooms: FieldValue.arrayUnion(roomId),
+      labels: FieldValue.arrayUnion(result.label),
+      lastFlaggedAt: now,
+    },
+    { merge: true },
+  );
+  await batch.commit();
+
+  return flagRef.id;
+}
+
+/* =========================
+   MODERATE MESSAGE
+   A flagged message is stored and the receiver gets a safety warning
+   instead of the message preview.
+========================= */
+async function moderateChatMessage({
+  roomId,
+  senderId,
+  senderName,
+  receiverId,
+  message,
+}) {
+  // Flags are filed under the room, so there is nowhere to keep one
+  if (!roomId) {
+    throw new HttpError(400, "roomId is required", "ROOM_ID_REQUIRED");
+  }
+
+  const result = await scoreMessage(message);
+  if (result.label === "CHAT_OK") {
+    return { flagged: false, label: result.label };
+  }
+
+  const flagId = await recordFlag(
+    { roomId, senderId, receiverId, message },
+    result,
+  );
+  console.log(`🚩 Chat message in ${roomId} flagged as ${result.label}`);
+
+  const push = await notifications.notifyUser(
+    receiverId,
+    "chat_safety_warning",
+    { roomId, senderName, label: result.label },
+  );
+
+  return {
+    flagged: true,
+    flagId,
+    label: result.label,
+    matchedRules: result.matchedRules,
+    ...push,
+  };
+}
+
+/* =========================
+   ADMIN VIEWS
+========================= */
+async function listRoomFlags(roomId, { limit } = {}) {
+  const pageSize = Math.min(Number(limit) || 50, 200);
+  const snap = await flagsRef(roomId)
+    .orderBy("flaggedAt", "desc")
+    .limit(pageSize)
+    .get();
+  return snap.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+}
+
+async function repeatOffenders({ minFlags, limit } = {}) {
+  const threshold = Number(minFlags) || REPEAT_OFFENDER_MIN_FLAGS;
+  if (threshold < 1) {
+    throw new HttpError(400, "minFlags must be at least 1", "INVALID_QUERY");
+  }
+
+  const snap = await offendersRef
+    .where("flagCount", ">=", threshold)
+    .orderBy("flagCount", "desc")
+    .limit(Math.min(Number(limit) || 50, 200))
+    .get();
+
+  return {
+    minFlags: threshold,
+    offenders: snap.docs.map((doc) => doc.data()),
+  };
+}
+
+module.exports = {
+  CHAT_LABELS,
+  scoreMessage,
+  moderateChatMessage,
+  listRoomFlags,
+  repeatOffenders,
+};
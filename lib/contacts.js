@@ -0,0 +1,65 @@
+// lib/contacts.js
+
+const { db } = require("./firebase");
+const { HttpError } = require("./errors");
+const { escrowsRef } = require("./escrow");
+const { jobsRef } = require("./jobs");
+
+/* =========================
+   CONTACTS
+   Who may push to whom. Hired and paid go from a client to the
+   freelancer on one of their escrows. A chat push needs an escrow
+   either way round, a job posted by the receiver, or the receiver
+   having messaged the sender first.
+========================= */
+const contactsRef = db.collection("ChatContacts");
+
+// ChatContacts/{userId}:{otherId}: userId may message otherId
+function contactId(userId, otherId) {
+  return `${userId}:${otherId}`;
+}
+
+function notConnected() {
+  return new HttpError(
+    403,
+    "You can only notify people you work with",
+    "NOT_CONNECTED",
+  );
+}
+
+async function hasEscrow(clientId, freelancerId) {
+  const snap = await escrowsRef
+    .where("clientId", "==", clientId)
+    .where("freelancerId", "==", freelancerId)
+    .limit(1)
+    .get();
+  return !snap.empty;
+}
+
+async function hasJob(userId) {
+  const snap = await jobsRef.where("userId", "==", userId).limit(1).get();
+  return !snap.empty;
+}
+
+async function assertClientOf(clientId, freelancerId) {
+  if (!(await hasEscrow(clientId, freelancerId))) throw notConnected();
+}
+
+// Also lets the receiver reply, so a conversation an applicant starts
+// on a job post can go both ways
+async function assertCanMessage(senderId, receiverId) {
+  const checks = await Promise.all([
+    contactsRef.doc(contactId(senderId, receiverId)).get(),
+    hasEscrow(senderId, receiverId),
+    hasEscrow(receiverId, senderId),
+    hasJob(receiverId),
+  ]);
+  const [contact, ...related] = checks;
+  if (!contact.exists && !related.some(Boolean)) throw notConnected();
+
+  await contactsRef
+    .doc(contactId(receiverId, senderId))
+    .set({ userId: receiverId, otherId: senderId, updatedAt: Date.now() });
+}
+
+module.exports = { assertClientOf, assertCanMessage };
@@ -0,0 +1,306 @@
+// lib/disputes.js
+
+const { admin, db } = require("./firebase");
+const { HttpError } = require("./errors");
+const ledger = require("./ledger");
+const notifications = require("./notifications");
+const { ESCROW_STATUS, getEscrowInTx, assertTransition } = require("./escrow");
+
+/* =========================
+   DISPUTES
+   Disputes/{escrowId}: at most one per escrow. Opening one moves the
+   escrow to "disputed", which auto-release never touches, so the money
+   stays put until an admin resolves it.
+========================= */
+const DISPUTE_STATUS = { OPEN: "open", RESOLVED: "resolved" };
+
+const OUTCOMES = {
+  RELEASE: "release",
+  REFUND: "refund",
+  SPLIT: "split",
+};
+
+const MAX_EVIDENCE = 10;
+
+const disputesRef = db.collection("Disputes");
+
+function statementsRef(escrowId) {
+  return disputesRef.doc(escrowId).collection("Statements");
+}
+
+function partyRole(escrow, userId) {
+  if (escrow.clientId === userId) return "client";
+  if (escrow.freelancerId === userId) return "freelancer";
+  throw new HttpError(403, "Not allowed on this escrow", "FORBIDDEN");
+}
+
+function otherParty(escrow, userId) {
+  return escrow.clientId === userId ? escrow.freelancerId : escrow.clientId;
+}
+
+function cleanEvidence(evidence) {
+  if (evidence == null) return [];
+  if (
+    !Array.isArray(evidence) ||
+    evidence.some((item) => typeof item !== "string" || !item.trim())
+  ) {
+    throw new HttpError(
+      400,
+      "evidence must be a list of references",
+      "INVALID_EVIDENCE",
+    );
+  }
+  if (evidence.length > MAX_EVIDENCE) {
+    throw new HttpError(
+      400,
+      `At most ${MAX_EVIDENCE} evidence references per statement`,
+      "INVALID_EVIDENCE",
+    );
+  }
+  return evidence.map((item) => item.trim());
+}
+
+/* =========================
+   OPEN
+========================= */
+async function openDispute(escrowId, userId, { reason, evidence } = {}) {
+  if (!reason) {
+    throw new HttpError(400, "A reason is required", "MISSING_REASON");
+  }
+  const cleaned = cleanEvidence(evidence);
+
+  const escrow = await db.runTransaction(async (tx) => {
+    const { ref, escrow } = await getEscrowInTx(tx, escrowId);
+    const role = partyRole(escrow, userId);
+    assertTransition(escrow, ESCROW_STATUS.DISPUTED);
+
+    const now = Date.now();
+    tx.update(ref, { status: ESCROW_STATUS.DISPUTED, disputedAt: now });
+    tx.create(disputesRef.doc(escrowId), {
+      escrowId,
+      clientId: escrow.clientId,
+      freelancerId: escrow.freelancerId,
+      amount: escrow.amount,
+      openedBy: userId,
+      openedByRole: role,
+      reason,
+      status: DISPUTE_STATUS.OPEN,
+      openedAt: now,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    // The opening reason is the first statement
+    tx.set(statementsRef(escrowId).doc(), {
+      authorId: userId,
+      role,
+      text: reason,
+      evidence: cleaned,
+      createdAt: now,
+    });
+
+    return escrow;
+  });
+
+  notifications
+    .notifyUser(otherParty(escrow, userId), "dispute_opened", {
+      escrowId,
+      amount: escrow.amount,
+    })
+    .catch((err) => console.error("❌ Dispute notification failed:", err));
+
+  return getDispute(escrowId, userId);
+}
+
+/* =========================
+   STATEMENTS
+========================= */
+async function addStatement(escrowId, userId, { text, evidence } = {}) {
+  const cleaned = cleanEvidence(evidence);
+  if (!text && !cleaned.length) {
+    throw new HttpError(
+      400,
+      "A statement needs text or evidence",
+      "EMPTY_STATEMENT",
+    );
+  }
+
+  const snap = await disputesRef.doc(escrowId).get();
+  if (!snap.exists) {
+    throw new HttpError(404, "Dispute not found", "DISPUTE_NOT_FOUND");
+  }
+  const dispute = snap.data();
+  const role = partyRole(dispute, userId);
+  if (dispute.status !== DISPUTE_STATUS.OPEN) {
+    throw new HttpError(409, "Dispute is already resolved", "DISPUTE_CLOSED");
+  }
+
+  const ref = await statementsRef(escrowId).add({
+    authorId: userId,
+    role,
+    text: text || null,
+    evidence: cleaned,
+    createdAt: Date.now(),
+  });
+  return { id: ref.id };
+}
+
+/* =========================
+   READ
+   userId null is an admin and can see any dispute.
+========================= */
+async function getDispute(escrowId, userId = null) {
+  const snap = await disputesRef.doc(escrowId).get();
+  if (!snap.exists) {
+    throw new HttpError(404, "Dispute not found", "DISPUTE_NOT_FOUND");
+  }
+  const dispute = snap.data();
+  if (userId) partyRole(dispute, userId);
+
+  const statements = await statementsRef(escrowId).orderBy("createdAt").get();
+
+  return {
+    id: snap.id,
+    ...dispute,
+    statements: statements.docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+  };
+}
+
+/* =========================
+   RESOLVE (admin)
+   release: all to the freelancer; refund: all to the client; split:
+   freelancerAmount to the freelancer and the rest to the client.
+========================= */
+function settlementAmounts(escrow, outcome, freelancerAmount) {
+  if (outcome === OUTCOMES.RELEASE) {
+    return { freelancer: escrow.amount, client: 0 };
+  }
+  if (outcome === OUTCOMES.REFUND) {
+    return { freelancer: 0, client: escrow.amount };
+  }
+  if (outcome === OUTCOMES.SPLIT) {
+    const share = Number(freelancerAmount);
+    if (!Number.isFinite(share) || share <= 0 || share >= escrow.amount) {
+      throw new HttpError(
+        400,
+        "freelancerAmount must be between 0 and the escrow amount",
+        "INVALID_SPLIT",
+      );
+    }
+    const freelancer = ledger.toMinor(share) / 100;
+    return {
+      freelancer,
+      client:
+        (ledger.toMinor(escrow.amount) - ledger.toMinor(freelancer)) / 100,
+    };
+  }
+  throw new HttpError(400, `Unknown outcome ${outcome}`, "INVALID_OUTCOME");
+}
+
+const OUTCOME_STATUS = {
+  [OUTCOMES.RELEASE]: ESCROW_STATUS.RELEASED,
+  [OUTCOMES.REFUND]: ESCROW_STATUS.REFUNDED,
+  [OUTCOMES.SPLIT]: ESCROW_STATUS.SPLIT,
+};
+
+async function resolveDispute(
+  escrowId,
+  adminId,
+  { outcome, freelancerAmount, note } = {},
+) {
+  const disputeRef = disputesRef.doc(escrowId);
+
+  const result = await db.runTransaction(async (tx) => {
+    const { ref, escrow } = await getEscrowInTx(tx, escrowId);
+    const disputeSnap = await tx.get(disputeRef);
+    if (!disputeSnap.exists) {
+      throw new HttpError(404, "Dispute not found", "DISPUTE_NOT_FOUND");
+    }
+    if (disputeSnap.data().status !== DISPUTE_STATUS.OPEN) {
+      throw new HttpError(409, "Dispute is already resolved", "DISPUTE_CLOSED");
+    }
+
+    const amounts = settlementAmounts(escrow, outcome, freelancerAmount);
+    const status = OUTCOME_STATUS[outcome];
+    assertTransition(escrow, status);
+
+    const now = Date.now();
+    const resolution = {
+      outcome,
+      freelancerAmount: amounts.freelancer,
+      clientAmount: amounts.client,
+      note: note || null,
+      resolvedBy: adminId,
+      resolvedAt: now,
+    };
+
+    tx.update(ref, {
+      status,
+      isReleased: amounts.freelancer > 0,
+      releasedAt: amounts.freelancer > 0 ? now : null,
+      releasedBy: amounts.freelancer > 0 ? adminId : null,
+      refundedAt: amounts.client > 0 ? now : null,
+      resolution,
+    });
+    tx.update(disputeRef, { status: DISPUTE_STATUS.RESOLVED, resolution });
+
+    const lines = [
+      { account: ledger.ACCOUNTS.escrow(escrowId), amount: -escrow.amount },
+    ];
+    if (amounts.freelancer > 0) {
+      lines.push({
+        account: ledger.ACCOUNTS.user(escrow.freelancerId),
+        amount: amounts.freelancer,
+      });
+    }
+    if (amounts.client > 0) {
+      lines.push({
+        account: ledger.ACCOUNTS.user(escrow.clientId),
+        amount: amounts.client,
+      });
+    }
+    ledger.post(tx, {
+      id: `escrow-dispute-${escrowId}`,
+      type: ledger.ENTRY_TYPES.DISPUTE_SETTLEMENT,
+      memo: `Dispute ${outcome} for post ${escrow.jobpost}`,
+      meta: { escrowId, outcome, resolvedBy: adminId },
+      lines,
+    });
+
+    return { ...escrow, status, resolution };
+  });
+
+  for (const [userId, amount] of [
+    [result.freelancerId, result.resolution.freelancerAmount],
+    [result.clientId, result.resolution.clientAmount],
+  ]) {
+    notifications
+      .notifyUser(userId, "dispute_resolved", {
+        escrowId,
+        outcome,
+        amount,
+      })
+      .catch((err) => console.error("❌ Dispute notification failed:", err));
+  }
+
+  return result;
+}
+
+async function listOpenDisputes({ limit } = {}) {
+  // Oldest first, ordered before the limit so a long queue still starts
+  // with the disputes waiting longest (index: status, openedAt)
+  const snap = await disputesRef
+    .where("status", "==", DISPUTE_STATUS.OPEN)
+    .orderBy("openedAt")
+    .limit(Math.min(Number(limit) || 50, 200))
+    .get();
+  return snap.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+}
+
+module.exports = {
+  DISPUTE_STATUS,
+  OUTCOMES,
+  openDispute,
+  addStatement,
+  getDispute,
+  resolveDispute,
+  listOpenDisputes,
+};
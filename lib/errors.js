@@ -0,0 +1,124 @@
+// lib/errors.js
+
+/* =========================
+   HTTP ERROR
+   Thrown from lib code so routes can reply with the right status.
+   code is stable and what the app branches on; message is for people
+   and may change. details carries structured extras, e.g. the failing
+   fields of a request body.
+========================= */
+class HttpError extends Error {
+  constructor(status, message, code, details) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code;
+    this.details = details || null;
+  }
+}
+
+// For errors thrown without a code of their own
+const STATUS_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  429: "RATE_LIMITED",
+  500: "INTERNAL_ERROR",
+  502: "UPSTREAM_ERROR",
+};
+
+/* =========================
+   NORMALIZE
+   Anything that isn't an HttpError is ours to hide: Paystack's raw
+   messages and stack traces go to the log, never to the client.
+========================= */
+function toHttpError(err) {
+  if (err instanceof HttpError) return err;
+
+  // Thrown by express.json before a handler runs
+  if (err.type === "entity.parse.failed") {
+    return new HttpError(400, "Request body is not valid JSON", "INVALID_JSON");
+  }
+  if (err.type === "entity.too.large") {
+    return new HttpError(413, "Request body is too large", "PAYLOAD_TOO_LARGE");
+  }
+
+  // Paystack answered with an error, or never answered
+  if (err.isAxiosError) {
+    return new HttpError(
+      502,
+      "Payment provider request failed, try again later",
+      "PAYMENT_PROVIDER_ERROR",
+    );
+  }
+
+  return new HttpError(500, "Something went wrong", "INTERNAL_ERROR");
+}
+
+// The one error shape: { error: { code, message, details } }
+function errorBody(err) {
+  const httpErr = toHttpError(err);
+  return {
+    error: {
+      code: httpErr.code || STATUS_CODES[httpErr.status] || "ERROR",
+      message: httpErr.message,
+      details: httpErr.details,
+    },
+  };
+}
+
+function sendError(res, err) {
+  const status = toHttpError(err).status || 500;
+  if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+  res.status(status).json(errorBody(err));
+}
+
+/* =========================
+   EXPRESS GLUE
+   asyncHandler passes a rejected handler to next(), so handlers just
+   throw. errorHandler goes last in server.js and answers for all of
+   them.
+========================= */
+function asyncHandler(handler) {
+  return (req, res, next) =>
+    Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+function notFoundHandler(req, res) {
+  sendError(
+    res,
+    new HttpError(
+      404,
+      `No route for ${req.method} ${req.path}`,
+      "ROUTE_NOT_FOUND",
+    ),
+  );
+}
+
+// Express only treats it as an error handler with all four arguments
+function errorHandler(err, req, res, next) {
+  const status = toHttpError(err).status || 500;
+  const where = `${req.method} ${req.originalUrl}`;
+
+  if (status >= 500) {
+    console.error(`❌ ${where} failed:`, err);
+  } else {
+    console.error(`❌ ${where}: ${err.message}`);
+  }
+
+  // Too late for a JSON body; let Express close the connection
+  if (res.headersSent) return next(err);
+  sendError(res, err);
+}
+
+module.exports = {
+  HttpError,
+  errorBody,
+  sendError,
+  asyncHandler,
+  notFoundHandler,
+  errorHandler,
+};
@@ -0,0 +1,549 @@
+// lib/escrow.js
+
+const { admin, db } = require("./firebase");
+const { HttpError } = require("./errors");
+const ledger = require("./ledger");
+const notifications = require("./notifications");
+const { jobsRef } = require("./jobs");
+
+/* =========================
+   ESCROW STATE MACHINE
+========================= */
+const ESCROW_STATUS = {
+  PENDING_FUNDING: "pending_funding",
+  IN_PROGRESS: "in_progress",
+  RELEASED: "released",
+  REFUNDED: "refunded",
+  DISPUTED: "disputed",
+  // Dispute settled with part to each side
+  SPLIT: "split",
+  CANCELLED: "cancelled",
+};
+
+const TRANSITIONS = {
+  [ESCROW_STATUS.PENDING_FUNDING]: [
+    ESCROW_STATUS.IN_PROGRESS,
+    ESCROW_STATUS.CANCELLED,
+  ],
+  [ESCROW_STATUS.IN_PROGRESS]: [
+    ESCROW_STATUS.RELEASED,
+    ESCROW_STATUS.REFUNDED,
+    ESCROW_STATUS.DISPUTED,
+  ],
+  // Only an admin resolving the dispute moves it on
+  [ESCROW_STATUS.DISPUTED]: [
+    ESCROW_STATUS.RELEASED,
+    ESCROW_STATUS.REFUNDED,
+    ESCROW_STATUS.SPLIT,
+  ],
+  [ESCROW_STATUS.RELEASED]: [],
+  [ESCROW_STATUS.REFUNDED]: [],
+  [ESCROW_STATUS.SPLIT]: [],
+  [ESCROW_STATUS.CANCELLED]: [],
+};
+
+/* =========================
+   RELEASE WINDOWS
+   How long a funded escrow waits before it is auto-released, in days,
+   per job category. ESCROW_RELEASE_WINDOWS (JSON) overrides these;
+   "default" covers every category not listed.
+========================= */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isValidWindow(days) {
+  return typeof days === "number" && Number.isFinite(days) && days > 0;
+}
+
+function loadDefaultWindow(value = process.env.ESCROW_AUTO_RELEASE_DAYS) {
+  if (value == null || value === "") return 7;
+  const days = Number(value);
+  if (isValidWindow(days)) return days;
+  console.error(`❌ Invalid ESCROW_AUTO_RELEASE_DAYS "${value}", using 7`);
+  return 7;
+}
+
+const DEFAULT_RELEASE_WINDOWS = {
+  default: loadDefaultWindow(),
+};
+
+// A window that isn't a positive number of days would give a NaN
+// autoReleaseAt, so each bad one keeps its default
+function loadReleaseWindows(json = process.env.ESCROW_RELEASE_WINDOWS) {
+  const windows = { ...DEFAULT_RELEASE_WINDOWS };
+  if (!json) return windows;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(json);
+  } catch (err) {
+    console.error(
+      "❌ Invalid ESCROW_RELEASE_WINDOWS, using defaults:",
+      err.message,
+    );
+    return windows;
+  }
+
+  for (const [category, days] of Object.entries(overrides || {})) {
+    if (!isValidWindow(days)) {
+      console.error(
+        `❌ Invalid ESCROW_RELEASE_WINDOWS.${category}, using the default`,
+      );
+      continue;
+    }
+    windows[category] = days;
+  }
+  return windows;
+}
+
+const RELEASE_WINDOWS = loadReleaseWindows();
+
+// The client can push auto-release back once, by this much
+const EXTENSION_MS = Number(process.env.ESCROW_EXTENSION_DAYS || 3) * DAY_MS;
+
+function releaseWindowMs(category) {
+  const days =
+    category && RELEASE_WINDOWS[category] != null
+      ? RELEASE_WINDOWS[category]
+      : RELEASE_WINDOWS.default;
+  return Number(days) * DAY_MS;
+}
+
+const escrowsRef = db.collection("Escrows");
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+function assertTransition(escrow, to) {
+  if (!canTransition(escrow.status, to)) {
+    throw new HttpError(
+      409,
+      `Escrow cannot move from ${escrow.status} to ${to}`,
+      "INVALID_ESCROW_TRANSITION",
+    );
+  }
+}
+
+async function getEscrowInTx(tx, escrowId) {
+  const ref = escrowsRef.doc(escrowId);
+  const snap = await tx.get(ref);
+  if (!snap.exists) {
+    throw new HttpError(404, "Escrow not found", "ESCROW_NOT_FOUND");
+  }
+  return { ref, escrow: snap.data() };
+}
+
+function assertParty(escrow, userId, field) {
+  if (userId && escrow[field] !== userId) {
+    throw new HttpError(403, "Not allowed on this escrow", "FORBIDDEN");
+  }
+}
+
+function assertNotDisputed(escrow) {
+  if (escrow.status === ESCROW_STATUS.DISPUTED) {
+    throw new HttpError(
+      409,
+      "Escrow is under dispute and can only be settled by an admin",
+      "ESCROW_DISPUTED",
+    );
+  }
+}
+
+/* =========================
+   CREATE
+========================= */
+async function createEscrow({ clientId, freelancerId, jobpost, amount }) {
+  if (!clientId || !freelancerId || !jobpost) {
+    throw new HttpError(400, "Missing fields", "MISSING_FIELDS");
+  }
+  if (!(Number(amount) > 0)) {
+    throw new HttpError(400, "Amount must be positive", "INVALID_AMOUNT");
+  }
+  if (clientId === freelancerId) {
+    throw new HttpError(
+      400,
+      "Client and freelancer must differ",
+      "INVALID_PARTIES",
+    );
+  }
+
+  const ref = escrowsRef.doc();
+
+  // Read in the same transaction, so the post can't change hands or
+  // vanish between the check and the escrow
+  return db.runTransaction(async (tx) => {
+    const jobSnap = await tx.get(jobsRef.doc(jobpost));
+    if (!jobSnap.exists) {
+      throw new HttpError(404, "Job not found", "JOB_NOT_FOUND");
+    }
+    const job = jobSnap.data();
+    if (job.userId !== clientId) {
+      throw new HttpError(
+        403,
+        "Only the job's author can open an escrow for it",
+        "NOT_JOB_OWNER",
+      );
+    }
+
+    const category = job.category || null;
+    const escrow = {
+      _id: ref.id,
+      clientId,
+      freelancerId,
+      jobpost,
+      amount: Number(amount),
+      status: ESCROW_STATUS.PENDING_FUNDING,
+      isReleased: false,
+      category,
+      // The clock starts when the escrow is funded
+      releaseWindowMs: releaseWindowMs(category),
+      autoReleaseAt: null,
+      extended: false,
+      remindersSent: [],
+    };
+
+    tx.set(ref, {
+      ...escrow,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return escrow;
+  });
+}
+
+/* =========================
+   FUND (client Balance -> escrow)
+========================= */
+async function fundEscrow(escrowId, userId) {
+  return db.runTransaction(async (tx) => {
+    const { ref, escrow } = await getEscrowInTx(tx, escrowId);
+    assertParty(escrow, userId, "clientId");
+    assertTransition(escrow, ESCROW_STATUS.IN_PROGRESS);
+
+    const balance = await ledger.readUserBalance(tx, escrow.clientId);
+
+    if (balance < escrow.amount) {
+      throw new HttpError(400, "Insufficient balance", "INSUFFICIENT_FUNDS");
+    }
+
+    const update = {
+      status: ESCROW_STATUS.IN_PROGRESS,
+      fundedAt: Date.now(),
+      autoReleaseAt:
+        Date.now() +
+        (escrow.releaseWindowMs || releaseWindowMs(escrow.category)),
+    };
+
+    tx.update(ref, update);
+    ledger.post(tx, {
+      id: `escrow-hold-${escrowId}`,
+      type: ledger.ENTRY_TYPES.ESCROW_HOLD,
+      memo: `Escrow funding for post ${escrow.jobpost}`,
+      meta: { escrowId },
+      lines: [
+        {
+          account: ledger.ACCOUNTS.user(escrow.clientId),
+          amount: -escrow.amount,
+        },
+        { account: ledger.ACCOUNTS.escrow(escrowId), amount: escrow.amount },
+      ],
+    });
+
+    return { ...escrow, ...update };
+  });
+}
+
+/* =========================
+   RELEASE (escrow -> freelancer Balance)
+   userId is the client for an early release, null for auto-release.
+   Runs as one transaction and is a no-op on an already released escrow,
+   so overlapping auto-release runs can't credit the freelancer twice.
+========================= */
+function isDueForAutoRelease(escrow, now = Date.now()) {
+  return (
+    escrow.status === ESCROW_STATUS.IN_PROGRESS &&
+    !escrow.isReleased &&
+    escrow.autoReleaseAt != null &&
+    escrow.autoReleaseAt <= now
+  );
+}
+
+async function releaseEscrow(escrowId, { userId = null, reason } = {}) {
+  const result = await db.runTransaction(async (tx) => {
+    const { ref, escrow } = await getEscrowInTx(tx, escrowId);
+    assertParty(escrow, userId, "clientId");
+
+    if (escrow.isReleased || escrow.status === ESCROW_STATUS.RELEASED) {
+      return { ...escrow, alreadyReleased: true };
+    }
+    // The escrow may have been disputed since autoReleaseDue queried it
+    if (!userId && !isDueForAutoRelease(escrow)) {
+      return { ...escrow, skipped: true };
+    }
+    assertNotDisputed(escrow);
+    assertTransition(escrow, ESCROW_STATUS.RELEASED);
+
+    const update = {
+      status: ESCROW_STATUS.RELEASED,
+      isReleased: true,
+      releasedAt: Date.now(),
+      releasedBy: userId || "system",
+    };
+
+    tx.update(ref, update);
+    ledger.post(tx, {
+      id: `escrow-release-${escrowId}`,
+      type: ledger.ENTRY_TYPES.ESCROW_RELEASE,
+      memo: reason || `Escrow release for post ${escrow.jobpost}`,
+      meta: { escrowId },
+      lines: [
+        { account: ledger.ACCOUNTS.escrow(escrowId), amount: -escrow.amount },
+        {
+          account: ledger.ACCOUNTS.user(escrow.freelancerId),
+          amount: escrow.amount,
+        },
+      ],
+    });
+
+    return { ...escrow, ...update };
+  });
+
+  if (result.status === ESCROW_STATUS.RELEASED && !result.alreadyReleased) {
+    notifications
+      .notifyUser(result.freelancerId, "escrow_released", {
+        amount: result.amount,
+        escrowId,
+      })
+      .catch((err) => console.error("❌ Release notification failed:", err));
+  }
+
+  return result;
+}
+
+/* =========================
+   EXTEND (client, once)
+   Pushes auto-release back by EXTENSION_MS; reminders start over.
+========================= */
+async function extendEscrow(escrowId, userId) {
+  const result = await db.runTransaction(async (tx) => {
+    const { ref, escrow } = await getEscrowInTx(tx, escrowId);
+    assertParty(escrow, userId, "clientId");
+
+    if (escrow.status !== ESCROW_STATUS.IN_PROGRESS || escrow.isReleased) {
+      throw new HttpError(
+        409,
+        "Only funded escrows can be extended",
+        "ESCROW_NOT_IN_PROGRESS",
+      );
+    }
+    if (escrow.extended) {
+      throw new HttpError(
+        409,
+        "This escrow has already been extended",
+        "ALREADY_EXTENDED",
+      );
+    }
+
+    const update = {
+      autoReleaseAt: escrow.autoReleaseAt + EXTENSION_MS,
+      extended: true,
+      extendedAt: Date.now(),
+      remindersSent: [],
+    };
+    tx.update(ref, update);
+
+    return { ...escrow, ...update };
+  });
+
+  notifications
+    .notifyUser(result.freelancerId, "escrow_extended", {
+      escrowId,
+      autoReleaseAt: result.autoReleaseAt,
+    })
+    .catch((err) => console.error("❌ Extension notification failed:", err));
+
+  return result;
+}
+
+/* =========================
+   LEGACY ESCROWS
+   Escrows the app wrote before the state machine have no status, or
+   one it doesn't know, and their money never went through the ledger.
+   Opening one moves it to in_progress and gives its escrow account the
+   amount it already holds, so release, refund and disputes post
+   against a funded account as usual.
+========================= */
+function isLegacyEscrow(escrow) {
+  return !TRANSITIONS[escrow.status];
+}
+
+async function openLegacyEscrow(escrowId) {
+  return db.runTransaction(async (tx) => {
+    const { ref, escrow } = await getEscrowInTx(tx, escrowId);
+    if (!isLegacyEscrow(escrow) || escrow.isReleased) {
+      return { escrowId, opened: false };
+    }
+    const amount = Number(escrow.amount);
+    if (!(amount > 0)) {
+      console.error(`❌ Legacy escrow ${escrowId} has no usable amount`);
+      return { escrowId, opened: false };
+    }
+
+    const update = {
+      status: ESCROW_STATUS.IN_PROGRESS,
+      legacyStatus: escrow.status === undefined ? null : escrow.status,
+      amount,
+    };
+    tx.update(ref, update);
+    ledger.post(
+      tx,
+      {
+        id: `opening-escrow-${escrowId}`,
+        type: ledger.ENTRY_TYPES.OPENING_BALANCE,
+        memo: `Opening balance for escrow on post ${escrow.jobpost}`,
+        meta: { escrowId },
+        lines: [
+          { account: ledger.ACCOUNTS.escrow(escrowId), amount },
+          { account: ledger.ACCOUNTS.OPENING, amount: -amount },
+        ],
+      },
+      { mirrorBalance: false },
+    );
+
+    return { escrowId, opened: true, escrow: { ...escrow, ...update } };
+  });
+}
+
+/* =========================
+   AUTO-RELEASE SWEEP
+   Run by the scheduler; releases every funded escrow past its
+   autoReleaseAt, opening legacy escrows on the way.
+========================= */
+async function autoReleaseDue(now = Date.now()) {
+  // Not filtered on status: legacy escrows have none to match
+  const snap = await escrowsRef.where("isReleased", "==", false).get();
+
+  let released = 0;
+  let failed = 0;
+  for (const docSnap of snap.docs) {
+    let escrow = docSnap.data();
+    if (isLegacyEscrow(escrow)) {
+      try {
+        const opened = await openLegacyEscrow(docSnap.id);
+        if (!opened.opened) continue;
+        escrow = opened.escrow;
+      } catch (err) {
+        console.error(`❌ Opening legacy escrow ${docSnap.id} failed:`, err);
+        failed += 1;
+        continue;
+      }
+    }
+    if (!isDueForAutoRelease(escrow, now)) continue;
+
+    try {
+      const result = await releaseEscrow(docSnap.id, {
+        reason: `Auto-release for post ${escrow.jobpost}`,
+      });
+      if (!result.alreadyReleased && !result.skipped) {
+        console.log(`✅ Auto-released escrow ${docSnap.id}`);
+        released += 1;
+      }
+    } catch (err) {
+      console.error(`❌ Auto-release failed for ${docSnap.id}:`, err);
+      failed += 1;
+    }
+  }
+
+  return { checked: snap.size, released, failed };
+}
+
+/* =========================
+   CANCEL (unfunded escrows only)
+========================= */
+async function cancelEscrow(escrowId, userId) {
+  return db.runTransaction(async (tx) => {
+    const { ref, escrow } = await getEscrowInTx(tx, escrowId);
+    assertParty(escrow, userId, "clientId");
+    assertTransition(escrow, ESCROW_STATUS.CANCELLED);
+
+    const update = {
+      status: ESCROW_STATUS.CANCELLED,
+      cancelledAt: Date.now(),
+    };
+    tx.update(ref, update);
+
+    return { ...escrow, ...update };
+  });
+}
+
+/* =========================
+   REFUND (escrow -> client Balance)
+   Only the freelancer can hand funded money back; a client who wants
+   their money back without the freelancer's agreement has to dispute.
+========================= */
+async function refundEscrow(escrowId, userId) {
+  return db.runTransaction(async (tx) => {
+    const { ref, escrow } = await getEscrowInTx(tx, escrowId);
+    assertParty(escrow, userId, "freelancerId");
+    assertNotDisputed(escrow);
+    assertTransition(escrow, ESCROW_STATUS.REFUNDED);
+
+    const update = {
+      status: ESCROW_STATUS.REFUNDED,
+      refundedAt: Date.now(),
+    };
+
+    tx.update(ref, update);
+    ledger.post(tx, {
+      id: `escrow-refund-${escrowId}`,
+      type: ledger.ENTRY_TYPES.ESCROW_REFUND,
+      memo: `Escrow refund for post ${escrow.jobpost}`,
+      meta: { escrowId },
+      lines: [
+        { account: ledger.ACCOUNTS.escrow(escrowId), amount: -escrow.amount },
+        {
+          account: ledger.ACCOUNTS.user(escrow.clientId),
+          amount: escrow.amount,
+        },
+      ],
+    });
+
+    return { ...escrow, ...update };
+  });
+}
+
+/* =========================
+   READ
+========================= */
+async function getEscrow(escrowId, userId) {
+  const snap = await escrowsRef.doc(escrowId).get();
+  if (!snap.exists) {
+    throw new HttpError(404, "Escrow not found", "ESCROW_NOT_FOUND");
+  }
+
+  const escrow = snap.data();
+  if (userId && escrow.clientId !== userId && escrow.freelancerId !== userId) {
+    throw new HttpError(403, "Not allowed on this escrow", "FORBIDDEN");
+  }
+
+  return { id: snap.id, ...escrow };
+}
+
+module.exports = {
+  ESCROW_STATUS,
+  RELEASE_WINDOWS,
+  loadReleaseWindows,
+  escrowsRef,
+  canTransition,
+  assertTransition,
+  getEscrowInTx,
+  isDueForAutoRelease,
+  createEscrow,
+  fundEscrow,
+  releaseEscrow,
+  extendEscrow,
+  openLegacyEscrow,
+  autoReleaseDue,
+  cancelEscrow,
+  refundEscrow,
+  getEscrow,
+};
@@ -0,0 +1,104 @@
+// lib/escrowReminders.js
+
+const { admin, db } = require("./firebase");
+const { ESCROW_STATUS, escrowsRef } = require("./escrow");
+const notifications = require("./notifications");
+const outbox = require("./outbox");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/* =========================
+   PRE-RELEASE REMINDERS
+   The client hears at each of these points before auto-release, by
+   push and email. ESCROW_REMINDER_HOURS is a comma list, e.g. "48,6".
+========================= */
+const REMINDER_HOURS = (process.env.ESCROW_REMINDER_HOURS || "48,6")
+  .split(",")
+  .map(Number)
+  .filter((hours) => hours > 0)
+  .sort((a, b) => b - a);
+
+// Every reminder point already passed and not yet sent; only the last
+// one goes out, so a short window doesn't get a burst of reminders
+function dueReminders(escrow, now) {
+  const left = escrow.autoReleaseAt - now;
+  if (left <= 0) return [];
+
+  const sent = escrow.remindersSent || [];
+  return REMINDER_HOURS.filter(
+    (hours) => left <= hours * HOUR_MS && !sent.includes(hours),
+  );
+}
+
+async function clientEmail(clientId) {
+  try {
+    return (await admin.auth().getUser(clientId)).email || null;
+  } catch (err) {
+    if (err.code === "auth/user-not-found") return null;
+    throw err;
+  }
+}
+
+// Marks the reminders sent first, so two runs can't both send them
+async function claimReminders(escrowId, now) {
+  const ref = escrowsRef.doc(escrowId);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+
+    const escrow = snap.data();
+    if (escrow.status !== ESCROW_STATUS.IN_PROGRESS || escrow.isReleased) {
+      return null;
+    }
+    const due = dueReminders(escrow, now);
+    if (!due.length) return null;
+
+    tx.update(ref, {
+      remindersSent: admin.firestore.FieldValue.arrayUnion(...due),
+    });
+    return { escrow, hours: due[due.length - 1] };
+  });
+}
+
+async function sendReleaseReminders(now = Date.now()) {
+  const snap = await escrowsRef
+    .where("status", "==", ESCROW_STATUS.IN_PROGRESS)
+    .where("isReleased", "==", false)
+    .get();
+
+  let sent = 0;
+  for (const docSnap of snap.docs) {
+    if (!dueReminders(docSnap.data(), now).length) continue;
+
+    try {
+      const claimed = await claimReminders(docSnap.id, now);
+      if (!claimed) continue;
+
+      const { escrow } = claimed;
+      const vars = {
+        escrowId: docSnap.id,
+        amount: escrow.amount,
+        autoReleaseAt: escrow.autoReleaseAt,
+        canExtend: !escrow.extended,
+      };
+
+      await notifications.notifyUser(
+        escrow.clientId,
+        "escrow_release_reminder",
+        vars,
+      );
+      const email = await clientEmail(escrow.clientId);
+      if (email) {
+        await outbox.enqueueEmail(email, "escrow_release_reminder", vars);
+      }
+      sent += 1;
+    } catch (err) {
+      console.error(`❌ Release reminder for ${docSnap.id} failed:`, err);
+    }
+  }
+
+  return { checked: snap.size, sent };
+}
+
+module.exports = { REMINDER_HOURS, sendReleaseReminders };
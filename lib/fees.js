@@ -0,0 +1,309 @@
+// lib/fees.js
+
+const crypto = require("crypto");
+const { admin, db } = require("./firebase");
+const { HttpError } = require("./errors");
+const { paystackPost, toKobo } = require("./paystack");
+const ledger = require("./ledger");
+const { getJob } = require("./jobs");
+
+const FEE_ACCOUNT_RECIPIENT_CODE = process.env.FEE_ACCOUNT_RECIPIENT_CODE;
+const FEE_SWEEP_MIN_AMOUNT = Number(process.env.FEE_SWEEP_MIN_AMOUNT || 1000);
+
+/* =========================
+   FEE SCHEDULES (Naira)
+   fee = amount * percent / 100 + flat, then clamped to [min, cap].
+   FEE_SCHEDULES (JSON) overrides any of these per type; an invalid
+   override keeps that type's default.
+========================= */
+const FEE_TYPES = {
+  JOB_POSTING: "job_posting",
+  ESCROW: "escrow",
+  WITHDRAWAL: "withdrawal",
+};
+
+const DEFAULT_FEE_SCHEDULES = {
+  [FEE_TYPES.JOB_POSTING]: { percent: 0, flat: 100, min: 0, cap: null },
+  [FEE_TYPES.ESCROW]: { percent: 5, flat: 0, min: 50, cap: 5000 },
+  [FEE_TYPES.WITHDRAWAL]: { percent: 7.5, flat: 0, min: 0, cap: null },
+};
+
+// Keeps the fee a finite, non-negative amount with min <= cap
+function isValidSchedule(schedule) {
+  const isAmount = (value) => Number.isFinite(value) && value >= 0;
+  const isOptional = (value) => value == null || isAmount(value);
+  return (
+    isAmount(schedule.percent) &&
+    schedule.percent <= 100 &&
+    isAmount(schedule.flat) &&
+    isOptional(schedule.min) &&
+    isOptional(schedule.cap) &&
+    (schedule.min == null ||
+      schedule.cap == null ||
+      schedule.min <= schedule.cap)
+  );
+}
+
+function loadSchedules(json = process.env.FEE_SCHEDULES) {
+  const schedules = { ...DEFAULT_FEE_SCHEDULES };
+  if (!json) return schedules;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(json);
+  } catch (err) {
+    console.error("❌ Invalid FEE_SCHEDULES, using defaults:", err.message);
+    return schedules;
+  }
+
+  for (const [type, override] of Object.entries(overrides || {})) {
+    if (!schedules[type]) {
+      console.error(`❌ Unknown fee type FEE_SCHEDULES.${type}, ignoring it`);
+      continue;
+    }
+    const merged = { ...schedules[type], ...override };
+    if (!override || typeof override !== "object" || !isValidSchedule(merged)) {
+      console.error(`❌ Invalid FEE_SCHEDULES.${type}, using the default`);
+      continue;
+    }
+    schedules[type] = merged;
+  }
+  return schedules;
+}
+
+const FEE_SCHEDULES = loadSchedules();
+
+function computeFee(type, amount) {
+  const schedule = FEE_SCHEDULES[type];
+  if (!schedule) {
+    throw new HttpError(400, `Unknown fee type ${type}`, "UNKNOWN_FEE_TYPE");
+  }
+
+  const base = Number(amount) || 0;
+  let fee = (base * (schedule.percent || 0)) / 100 + (schedule.flat || 0);
+  if (schedule.min != null) fee = Math.max(fee, schedule.min);
+  if (schedule.cap != null) fee = Math.min(fee, schedule.cap);
+  // Never charge more than the thing being charged for
+  if (base > 0) fee = Math.min(fee, base);
+
+  return { type, base, fee: ledger.toMinor(fee) / 100, schedule };
+}
+
+/* =========================
+   CHARGE SOURCES
+   The fee base always comes from our own records, never the client.
+========================= */
+async function loadChargeSource(type, sourceId, userId) {
+  if (type === FEE_TYPES.JOB_POSTING) {
+    const job = await getJob(sourceId);
+    if (job.userId !== userId) {
+      throw new HttpError(403, "Not allowed on this job", "FORBIDDEN");
+    }
+    return { base: Number(job.budget) || 0, label: `job ${sourceId}` };
+  }
+
+  if (type === FEE_TYPES.ESCROW) {
+    const snap = await db.collection("Escrows").doc(sourceId).get();
+    if (!snap.exists) {
+      throw new HttpError(404, "Escrow not found", "ESCROW_NOT_FOUND");
+    }
+    const escrow = snap.data();
+    if (escrow.clientId !== userId) {
+      throw new HttpError(403, "Not allowed on this escrow", "FORBIDDEN");
+    }
+    return { base: escrow.amount, label: `escrow ${sourceId}` };
+  }
+
+  throw new HttpError(400, `Cannot charge ${type}`, "UNKNOWN_FEE_TYPE");
+}
+
+/* =========================
+   CHARGE
+   Moves the fee from the user's wallet into the fee account. One
+   charge per job or escrow; the transactions record says what happened.
+========================= */
+async function chargeFee({ userId, type, sourceId }) {
+  const { base, label } = await loadChargeSource(type, sourceId, userId);
+  const { fee } = computeFee(type, base);
+  const reference = `fee-${type}-${sourceId}`;
+  const ref = db.collection("transactions").doc(reference);
+
+  try {
+    await db.runTransaction(async (tx) => {
+      const existing = await tx.get(ref);
+      if (existing.exists && existing.data().status === "success") {
+        throw new HttpError(409, "Fee already charged", "ALREADY_CHARGED");
+      }
+
+      const balance = await ledger.readUserBalance(tx, userId);
+      if (balance < fee) {
+        throw new HttpError(400, "Insufficient balance", "INSUFFICIENT_FUNDS");
+      }
+
+      tx.set(ref, {
+        userId,
+        type: "Charges",
+        feeType: type,
+        sourceId,
+        amount: base,
+        fee,
+        reference,
+        status: "success",
+        reason: `Fee for ${label}`,
+        requestedAt: Date.now(),
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      if (fee > 0) {
+        ledger.post(tx, {
+          id: reference,
+          type: ledger.ENTRY_TYPES.FEE,
+          memo: `Fee for ${label}`,
+          reference,
+          meta: { feeType: type, sourceId },
+          lines: [
+            { account: ledger.ACCOUNTS.user(userId), amount: -fee },
+            { account: ledger.ACCOUNTS.FEES, amount: fee },
+          ],
+        });
+      }
+    });
+  } catch (err) {
+    if (err.code !== "ALREADY_CHARGED") {
+      await ref.set(
+        {
+          userId,
+          type: "Charges",
+          feeType: type,
+          sourceId,
+          amount: base,
+          fee,
+          reference,
+          status: "failed",
+          failureReason: err.message,
+          requestedAt: Date.now(),
+        },
+        { merge: true },
+      );
+    }
+    throw err;
+  }
+
+  return { reference, type, base, fee };
+}
+
+/* =========================
+   FEE SWEEP
+   Pays the accumulated fee account out to FEE_ACCOUNT_RECIPIENT_CODE
+   in one transfer. The amount leaves the fee account when the sweep
+   starts and goes back if Paystack rejects or fails it.
+========================= */
+const sweepsRef = db.collection("FeeSweeps");
+
+function isFeeSweep(reference) {
+  return typeof reference === "string" && reference.startsWith("fs_");
+}
+
+async function sweepFees() {
+  const reference = `fs_${crypto.randomUUID().replace(/-/g, "")}`;
+
+  const amount = await db.runTransaction(async (tx) => {
+    const accountSnap = await tx.get(
+      db.collection("LedgerAccounts").doc(ledger.ACCOUNTS.FEES),
+    );
+    const balance = accountSnap.exists ? accountSnap.data().balance || 0 : 0;
+    if (balance < FEE_SWEEP_MIN_AMOUNT) return 0;
+
+    tx.set(sweepsRef.doc(reference), {
+      amount: balance,
+      reference,
+      status: "pending",
+      requestedAt: Date.now(),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    ledger.post(tx, {
+      id: `fee-sweep-${reference}`,
+      type: ledger.ENTRY_TYPES.FEE_SWEEP,
+      memo: "Fee sweep",
+      reference,
+      lines: [
+        { account: ledger.ACCOUNTS.FEES, amount: -balance },
+        { account: ledger.ACCOUNTS.PAYOUTS, amount: balance },
+      ],
+    });
+    return balance;
+  });
+
+  if (!amount) return { swept: false };
+
+  try {
+    await paystackPost("/transfer", {
+      source: "balance",
+      amount: toKobo(amount),
+      recipient: FEE_ACCOUNT_RECIPIENT_CODE,
+      reference,
+      reason: "Platform fee sweep",
+    });
+  } catch (err) {
+    console.error("❌ Fee sweep transfer failed:", err.message);
+    if (err.response) await failFeeSweep(reference, err.message);
+    throw err;
+  }
+
+  console.log(`✅ Fee sweep ${reference} started for ${amount}`);
+  return { swept: true, reference, amount };
+}
+
+async function settleFeeSweep(reference) {
+  const ref = sweepsRef.doc(reference);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists || snap.data().status !== "pending") return null;
+
+    tx.update(ref, {
+      status: "success",
+      completedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { ...snap.data(), status: "success" };
+  });
+}
+
+async function failFeeSweep(reference, reason) {
+  const ref = sweepsRef.doc(reference);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+
+    const sweep = snap.data();
+    if (!["pending", "success"].includes(sweep.status)) return sweep;
+
+    tx.update(ref, {
+      status: "failed",
+      failureReason: reason || null,
+      completedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    ledger.post(tx, {
+      id: `fee-sweep-reversal-${reference}`,
+      type: ledger.ENTRY_TYPES.FEE_SWEEP,
+      memo: "Fee sweep returned",
+      reference,
+      lines: [
+        { account: ledger.ACCOUNTS.PAYOUTS, amount: -sweep.amount },
+        { account: ledger.ACCOUNTS.FEES, amount: sweep.amount },
+      ],
+    });
+    return { ...sweep, status: "failed" };
+  });
+}
+
+module.exports = {
+  FEE_TYPES,
+  FEE_SCHEDULES,
+  loadSchedules,
+  computeFee,
+  chargeFee,
+  isFeeSweep,
+  sweepFees,
+  settleFeeSweep,
+  failFeeSweep,
+};
@@ -0,0 +1,17 @@
+// lib/firebase.js
+
+const admin = require("firebase-admin");
+
+/* =========================
+   FIREBASE INIT
+========================= */
+const serviceAccount = JSON.parse(process.env.FIREBASE_CONFIG);
+serviceAccount.private_key = serviceAccount.private_key.replace(/\\n/g, "\n");
+
+admin.initializeApp({
+  credential: admin.credential.cert(serviceAccount),
+});
+
+const db = admin.firestore();
+
+module.exports = { admin, db };
@@ -0,0 +1,134 @@
+// lib/inbox.js
+
+const { db } = require("./firebase");
+const { HttpError } = require("./errors");
+
+const INBOX_PAGE_SIZE = 20;
+const INBOX_MAX_PAGE_SIZE = 100;
+const BATCH_LIMIT = 500;
+
+function inboxRef(userId) {
+  return db.collection("users").doc(userId).collection("Notifications");
+}
+
+function inboxItem(content) {
+  return {
+    type: content.data.type,
+    title: content.title || null,
+    body: content.body || null,
+    payload: content.data,
+    createdAt: Date.now(),
+    readAt: null,
+  };
+}
+
+/* =========================
+   WRITE
+   Every notification lands here whether or not the push gets through.
+========================= */
+async function addToInbox(userId, content) {
+  const ref = inboxRef(userId).doc();
+  await ref.set(inboxItem(content));
+  return ref.id;
+}
+
+// Returns userId -> notification id
+async function addManyToInbox(userIds, content) {
+  const ids = new Map();
+
+  for (let i = 0; i < userIds.length; i += BATCH_LIMIT) {
+    const batch = db.batch();
+    for (const userId of userIds.slice(i, i + BATCH_LIMIT)) {
+      const ref = inboxRef(userId).doc();
+      batch.set(ref, inboxItem(content));
+      ids.set(userId, ref.id);
+    }
+    await batch.commit();
+  }
+
+  return ids;
+}
+
+/* =========================
+   READ
+   Newest first; cursor is the last id of the previous page.
+========================= */
+async function listInbox(userId, { cursor, limit } = {}) {
+  // No limit (or 0) means the default; a negative one still gets a page
+  const pageSize = Math.max(
+    1,
+    Math.min(Math.floor(Number(limit)) || INBOX_PAGE_SIZE, INBOX_MAX_PAGE_SIZE),
+  );
+
+  let query = inboxRef(userId).orderBy("createdAt", "desc");
+  if (cursor) {
+    const cursorSnap = await inboxRef(userId).doc(cursor).get();
+    if (!cursorSnap.exists) {
+      throw new HttpError(400, "Invalid cursor", "INVALID_CURSOR");
+    }
+    query = query.startAfter(cursorSnap);
+  }
+
+  const snap = await query.limit(pageSize + 1).get();
+  const docs = snap.docs.slice(0, pageSize);
+
+  return {
+    items: docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+    nextCursor: snap.docs.length > pageSize ? docs[docs.length - 1].id : null,
+  };
+}
+
+async function unreadCount(userId) {
+  const snap = await inboxRef(userId).where("readAt", "==", null).count().get();
+  return snap.data().count;
+}
+
+/* =========================
+   MARK READ
+========================= */
+async function markRead(userId, notificationId) {
+  const ref = inboxRef(userId).doc(notificationId);
+  const snap = await ref.get();
+  if (!snap.exists) {
+    throw new HttpError(
+      404,
+      "Notification not found",
+      "NOTIFICATION_NOT_FOUND",
+    );
+  }
+
+  if (!snap.data().readAt) {
+    await ref.update({ readAt: Date.now() });
+  }
+}
+
+async function markAllRead(userId) {
+  const readAt = Date.now();
+  let updated = 0;
+
+  for (;;) {
+    const snap = await inboxRef(userId)
+      .where("readAt", "==", null)
+      .limit(BATCH_LIMIT)
+      .get();
+    if (snap.empty) break;
+
+    const batch = db.batch();
+    snap.docs.forEach((doc) => batch.update(doc.ref, { readAt }));
+    await batch.commit();
+    updated += snap.size;
+
+    if (snap.size < BATCH_LIMIT) break;
+  }
+
+  return updated;
+}
+
+module.exports = {
+  addToInbox,
+  addManyToInbox,
+  listInbox,
+  unreadCount,
+  markRead,
+  markAllRead,
+};
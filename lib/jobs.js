@@ -0,0 +1,23 @@
+// lib/jobs.js
+
+const { db } = require("./firebase");
+const { HttpError } = require("./errors");
+
+/* =========================
+   JOB POSTS
+   jobs/{jobId}: { userId (author), title, description, budget,
+   category, skills[], university }
+========================= */
+const JOBS_COLLECTION = "jobs";
+
+const jobsRef = db.collection(JOBS_COLLECTION);
+
+async function getJob(jobId) {
+  const snap = await jobsRef.doc(jobId).get();
+  if (!snap.exists) {
+    throw new HttpError(404, "Job not found", "JOB_NOT_FOUND");
+  }
+  return { id: snap.id, ...snap.data() };
+}
+
+module.exports = { JOBS_COLLECTION, jobsRef, getJob };
@@ -0,0 +1,287 @@
+// lib/ledger.js
+
+const { admin, db } = require("./firebase");
+const { HttpError } = require("./errors");
+
+/* =========================
+   LEDGER ACCOUNTS
+   Every money movement is a journal entry whose lines sum to zero.
+   A positive line amount increases that account's balance.
+========================= */
+const ACCOUNTS = {
+  user: (userId) => `user:${userId}`,
+  hold: (userId) => `hold:${userId}`,
+  escrow: (escrowId) => `escrow:${escrowId}`,
+  FEES: "fees",
+  PAYOUTS: "payouts",
+  DEPOSITS: "deposits",
+  OPENING: "opening",
+};
+
+const ENTRY_TYPES = {
+  OPENING_BALANCE: "opening_balance",
+  TOPUP: "topup",
+  ESCROW_HOLD: "escrow_hold",
+  ESCROW_RELEASE: "escrow_release",
+  ESCROW_REFUND: "escrow_refund",
+  DISPUTE_SETTLEMENT: "dispute_settlement",
+  WITHDRAWAL_HOLD: "withdrawal_hold",
+  WITHDRAWAL_RELEASE: "withdrawal_release",
+  WITHDRAWAL: "withdrawal",
+  WITHDRAWAL_REVERSAL: "withdrawal_reversal",
+  FEE: "fee",
+  FEE_SWEEP: "fee_sweep",
+};
+
+const entriesRef = db.collection("LedgerEntries");
+const accountsRef = db.collection("LedgerAccounts");
+
+const STATEMENT_PAGE_SIZE = 20;
+const STATEMENT_MAX_PAGE_SIZE = 100;
+
+// Work in kobo so floating point never unbalances an entry
+function toMinor(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+function userIdFromAccount(account) {
+  return account.startsWith("user:") ? account.slice("user:".length) : null;
+}
+
+function validateLines(lines) {
+  if (!Array.isArray(lines) || lines.length < 2) {
+    throw new Error("Ledger entry needs at least two lines");
+  }
+
+  let total = 0;
+  for (const line of lines) {
+    if (!line.account || !Number.isFinite(Number(line.amount))) {
+      throw new Error("Ledger line needs an account and an amount");
+    }
+    total += toMinor(line.amount);
+  }
+
+  if (total !== 0) {
+    throw new Error(`Ledger entry is unbalanced by ${total / 100}`);
+  }
+}
+
+/* =========================
+   POST ENTRY
+   Only writes, so it must be called after every tx.get() in the
+   transaction. Pass an id to key the entry to its movement: create()
+   fails the whole transaction if that entry already exists.
+   User accounts are mirrored onto Balance/{userId}.Amount for the app.
+========================= */
+function post(
+  tx,
+  { id, type, lines, memo, reference = null, meta = {} },
+  { mirrorBalance = true } = {},
+) {
+  validateLines(lines);
+
+  const entryRef = id ? entriesRef.doc(id) : entriesRef.doc();
+  const cleanLines = lines.map(({ account, amount }) => ({
+    account,
+    amount: toMinor(amount) / 100,
+  }));
+
+  tx.create(entryRef, {
+    type,
+    memo: memo || null,
+    reference,
+    meta,
+    lines: cleanLines,
+    accounts: [...new Set(cleanLines.map((l) => l.account))],
+    postedAt: Date.now(),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  for (const { account, amount } of cleanLines) {
+    tx.set(
+      accountsRef.doc(account),
+      {
+        balance: admin.firestore.FieldValue.increment(amount),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true },
+    );
+
+    const userId = userIdFromAccount(account);
+    if (userId && mirrorBalance) {
+      tx.set(
+        db.collection("Balance").doc(userId),
+        { Amount: admin.firestore.FieldValue.increment(amount) },
+        { merge: true },
+      );
+    }
+  }
+
+  return entryRef;
+}
+
+/* =========================
+   BALANCES
+========================= */
+async function readUserBalance(tx, userId) {
+  const snap = await tx.get(db.collection("Balance").doc(userId));
+  return snap.exists ? snap.data().Amount || 0 : 0;
+}
+
+// Recompute an account from its entries and compare with the stored totals
+async function verifyAccount(account) {
+  const [entriesSnap, accountSnap] = await Promise.all([
+    entriesRef.where("accounts", "array-contains", account).get(),
+    accountsRef.doc(account).get(),
+  ]);
+
+  let derivedMinor = 0;
+  entriesSnap.forEach((doc) => {
+    for (const line of doc.data().lines) {
+      if (line.account === account) derivedMinor += toMinor(line.amount);
+    }
+  });
+
+  const derived = derivedMinor / 100;
+  const stored = accountSnap.exists ? accountSnap.data().balance || 0 : 0;
+  const result = {
+    account,
+    derived,
+    stored,
+    consistent: toMinor(stored) === derivedMinor,
+  };
+
+  const userId = userIdFromAccount(account);
+  if (userId) {
+    const balanceSnap = await db.collection("Balance").doc(userId).get();
+    result.balanceAmount = balanceSnap.exists
+      ? balanceSnap.data().Amount || 0
+      : 0;
+    result.consistent =
+      result.consistent && toMinor(result.balanceAmount) === derivedMinor;
+  }
+
+  return result;
+}
+
+/* =========================
+   LEGACY BALANCES
+   Money written to Balance docs before the ledger existed gets one
+   opening entry so the derived balance matches what the user sees.
+========================= */
+async function openLegacyBalance(userId) {
+  const account = ACCOUNTS.user(userId);
+  const entryId = `opening-${userId}`;
+
+  return db.runTransaction(async (tx) => {
+    const [openingSnap, accountSnap] = await Promise.all([
+      tx.get(entriesRef.doc(entryId)),
+      tx.get(accountsRef.doc(account)),
+    ]);
+    if (openingSnap.exists) return { userId, opened: false };
+
+    const amount = await readUserBalance(tx, userId);
+    const ledgerBalance = accountSnap.exists
+      ? accountSnap.data().balance || 0
+      : 0;
+    const difference = (toMinor(amount) - toMinor(ledgerBalance)) / 100;
+    if (!difference) return { userId, opened: false };
+
+    // Balance.Amount already holds this money, so don't mirror it again
+    post(
+      tx,
+      {
+        id: entryId,
+        type: ENTRY_TYPES.OPENING_BALANCE,
+        memo: "Opening balance",
+        lines: [
+          { account, amount: difference },
+          { account: ACCOUNTS.OPENING, amount: -difference },
+        ],
+      },
+      { mirrorBalance: false },
+    );
+
+    return { userId, opened: true, amount: difference };
+  });
+}
+
+async function openAllLegacyBalances() {
+  const balancesSnap = await db.collection("Balance").get();
+  let opened = 0;
+
+  for (const doc of balancesSnap.docs) {
+    const result = await openLegacyBalance(doc.id);
+    if (result.opened) opened += 1;
+  }
+
+  return { scanned: balancesSnap.size, opened };
+}
+
+/* =========================
+   STATEMENT
+   Newest first. from/to are ms timestamps, cursor is the last entry id
+   of the previous page.
+========================= */
+async function getStatement(userId, { from, to, limit, cursor } = {}) {
+  const account = ACCOUNTS.user(userId);
+  // Never below one entry: Firestore refuses a negative limit
+  const pageSize = Math.max(
+    1,
+    Math.min(
+      Math.floor(Number(limit)) || STATEMENT_PAGE_SIZE,
+      STATEMENT_MAX_PAGE_SIZE,
+    ),
+  );
+
+  let query = entriesRef.where("accounts", "array-contains", account);
+  if (from) query = query.where("postedAt", ">=", Number(from));
+  if (to) query = query.where("postedAt", "<=", Number(to));
+  query = query.orderBy("postedAt", "desc");
+
+  if (cursor) {
+    const cursorSnap = await entriesRef.doc(cursor).get();
+    if (!cursorSnap.exists) {
+      throw new HttpError(400, "Invalid cursor", "INVALID_CURSOR");
+    }
+    query = query.startAfter(cursorSnap);
+  }
+
+  const snap = await query.limit(pageSize + 1).get();
+  const docs = snap.docs.slice(0, pageSize);
+
+  const items = docs.map((doc) => {
+    const entry = doc.data();
+    const amount =
+      entry.lines
+        .filter((line) => line.account === account)
+        .reduce((sum, line) => sum + toMinor(line.amount), 0) / 100;
+
+    return {
+      id: doc.id,
+      type: entry.type,
+      direction: amount >= 0 ? "credit" : "debit",
+      amount: Math.abs(amount),
+      memo: entry.memo,
+      reference: entry.reference,
+      postedAt: entry.postedAt,
+    };
+  });
+
+  return {
+    items,
+    nextCursor: snap.docs.length > pageSize ? docs[docs.length - 1].id : null,
+  };
+}
+
+module.exports = {
+  ACCOUNTS,
+  ENTRY_TYPES,
+  toMinor,
+  post,
+  readUserBalance,
+  verifyAccount,
+  openLegacyBalance,
+  openAllLegacyBalances,
+  getStatement,
+};
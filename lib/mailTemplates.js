@@ -0,0 +1,186 @@
+// lib/mailTemplates.js
+
+const { HttpError } = require("./errors");
+
+const BRAND_COLOR = "#2B9E9B";
+const APP_URL = "https://www.step-technologies.com";
+const LOGO_URL =
+  "https://www.step-technologies.com/static/media/STEP_WHITE.jpeg";
+
+function formatDate(at) {
+  return new Intl.DateTimeFormat("en-GB", {
+    dateStyle: "medium",
+    timeStyle: "short",
+    timeZone: "Africa/Lagos",
+  }).format(new Date(at));
+}
+
+function escapeHtml(value) {
+  return String(value == null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/* =========================
+   LAYOUT
+   The branded teal shell every email shares. Content is plain text
+   and gets escaped; the button link is the only raw URL.
+========================= */
+function layout({ heading, intro, button, footnote }) {
+  const year = new Date().getFullYear();
+  const link = escapeHtml(button.url);
+
+  return `
+     <div style="background-color: #f4f7f6; padding: 40px 20px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; min-height: 100%;">
+    <table align="center" border="0" cellpadding="0" cellspacing="0" width="100%" style="max-width: 550px; background-color: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 10px 30px rgba(0, 0, 0, 0.04); border: 1px solid #eef2f1;">
+
+      <tr>
+        <td align="center" style="padding: 40px 40px 20px 40px;">
+          <img src="${LOGO_URL}" alt="STEP Logo" style="max-width: 140px; height: auto; display: block;" />
+        </td>
+      </tr>
+
+      <tr>
+        <td style="padding: 0 40px;">
+          <div style="height: 2px; width: 100%; background: linear-gradient(90deg, rgba(43,158,155,0.1) 0%, rgba(43,158,155,1) 50%, rgba(43,158,155,0.1) 100%);"></div>
+        </td>
+      </tr>
+
+      <tr>
+        <td style="padding: 40px 40px 30px 40px;">
+          <h2 style="color: #111827; font-size: 24px; font-weight: 700; margin: 0 0 16px 0; text-align: center; letter-spacing: -0.5px;">
+            ${escapeHtml(heading)}
+          </h2>
+          <p style="color: #4b5563; font-size: 15px; line-height: 24px; margin: 0; text-align: center;">
+            ${escapeHtml(intro)}
+          </p>
+        </td>
+      </tr>
+
+      <tr>
+        <td align="center" style="padding: 0 40px 40px 40px;">
+          <table border="0" cellpadding="0" cellspacing="0">
+            <tr>
+              <td align="center" style="border-radius: 8px; background-color: ${BRAND_COLOR}; box-shadow: 0 4px 12px rgba(43, 158, 155, 0.25);">
+                <a href="${link}" target="_blank" style="display: inline-block; padding: 14px 36px; font-size: 15px; font-weight: 600; color: #ffffff; text-decoration: none; border-radius: 8px; letter-spacing: 0.3px;">
+                  ${escapeHtml(button.label)}
+                </a>
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+
+      <tr>
+        <td style="padding: 0 40px 30px 40px;">
+          <p style="color: #9ca3af; font-size: 12px; line-height: 18px; margin: 0; text-align: center;">
+            If the button above doesn't work, copy and paste this link into your browser secure bar:
+          </p>
+          <p style="margin: 8px 0 0 0; text-align: center; word-break: break-all;">
+            <a href="${link}" target="_blank" style="color: ${BRAND_COLOR}; font-size: 12px; text-decoration: none;">
+              ${link}
+            </a>
+          </p>
+        </td>
+      </tr>
+
+      <tr>
+        <td align="center" style="background-color: #fafbfc; padding: 24px 40px; border-top: 1px solid #f3f4f6;">
+          <p style="color: #9ca3af; font-size: 12px; margin: 0;">
+            © ${year} S.T.E.P. Technologies. All rights reserved.
+          </p>
+        </td>
+      </tr>
+    </table>
+
+    <table align="center" border="0" cellpadding="0" cellspacing="0" width="100%" style="max-width: 550px;">
+      <tr>
+        <td align="center" style="padding: 24px 0 0 0;">
+          <p style="color: #9ca3af; font-size: 11px; margin: 0; line-height: 16px;">
+            ${escapeHtml(footnote)}
+          </p>
+        </td>
+      </tr>
+    </table>
+  </div>
+    `;
+}
+
+function layoutText({ heading, intro, button, footnote }) {
+  const year = new Date().getFullYear();
+  return [
+    heading,
+    "",
+    intro,
+    "",
+    `${button.label}: ${button.url}`,
+    "",
+    footnote,
+    "",
+    `© ${year} S.T.E.P. Technologies. All rights reserved.`,
+  ].join("\n");
+}
+
+/* =========================
+   TEMPLATES
+   Each takes the caller's variables and returns the subject plus the
+   layout content; renderMail() turns that into HTML and text parts.
+========================= */
+const TEMPLATES = {
+  email_verification: (vars) => ({
+    subject: "Verify your email for STEP",
+    heading: "Verify your email address",
+    intro:
+      "Welcome to STEP! We're thrilled to have you here. To finalize setting up your account and dive into the platform, please confirm your email by clicking the button below.",
+    button: { label: "Verify Email Address", url: vars.link },
+    footnote:
+      "You received this email because an account was registered on STEP with this email address. If you did not perform this action, you can safely ignore this automated message.",
+  }),
+  password_reset: (vars) => ({
+    subject: "Reset your STEP password",
+    heading: "Reset your password",
+    intro:
+      "We received a request to reset the password for your STEP account. Click the button below to choose a new one. The link expires in one hour.",
+    button: { label: "Reset Password", url: vars.link },
+    footnote:
+      "If you didn't ask to reset your password, you can safely ignore this email. Your password won't change.",
+  }),
+  escrow_release_reminder: (vars) => ({
+    subject: "Your STEP escrow will be released soon",
+    heading: "Escrow releasing soon",
+    intro: `₦${vars.amount} held in escrow will be released to the freelancer on ${formatDate(vars.autoReleaseAt)} (Lagos time). If the work isn't finished, ${vars.canExtend ? "you can extend the release date once or open a dispute" : "open a dispute"} in the app before then.`,
+    button: { label: "Open STEP", url: APP_URL },
+    footnote:
+      "You received this email because you funded an escrow on STEP. If the work is done, you don't need to do anything.",
+  }),
+  email_change: (vars) => ({
+    subject: "Confirm your new email for STEP",
+    heading: "Confirm your new email",
+    intro: `You asked to change your STEP account email from ${vars.currentEmail} to this address. Click the button below to confirm the change.`,
+    button: { label: "Confirm New Email", url: vars.link },
+    footnote:
+      "If you didn't ask for this change, ignore this email and your account email will stay the same.",
+  }),
+};
+
+function renderMail(name, vars = {}) {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new HttpError(
+      400,
+      `Unknown mail template ${name}`,
+      "UNKNOWN_MAIL_TEMPLATE",
+    );
+  }
+
+  const content = template(vars);
+  return {
+    subject: content.subject,
+    html: layout(content),
+    text: layoutText(content),
+  };
+}
+
+module.exports = { TEMPLATES, renderMail };
@@ -0,0 +1,461 @@
+// lib/moderation.js
+
+const { GoogleGenAI } = require("@google/genai");
+const { admin, db } = require("./firebase");
+const { HttpError } = require("./errors");
+const { jobsRef } = require("./jobs");
+const { evaluatePost } = require("./moderationRules");
+
+const ai = new GoogleGenAI({
+  apiKey: process.env.GEMINI_API_KEY,
+});
+
+const MODERATION_MODEL = "gemini-2.5-flash";
+
+// SCAM/DATING calls below this go to a human instead of auto-rejecting
+const REVIEW_CONFIDENCE_THRESHOLD = Number(
+  process.env.MODERATION_REVIEW_THRESHOLD || 0.8,
+);
+
+const MODERATION_STATUS = {
+  APPROVED: "approved",
+  REJECTED: "rejected",
+  PENDING_REVIEW: "pending_review",
+};
+
+const verdictsRef = db.collection("ModerationVerdicts");
+const queueRef = db.collection("ModerationQueue");
+
+/* =========================
+   AI MODERATION FUNCTION
+========================= */
+const SYSTEM_PROMPT = `
+You are a strict but fair moderator for a university campus freelance marketplace.
+
+Your job is to classify a post as one of the following:
+- JOB_OK
+- SPAM
+- DATING
+- SCAM
+
+This platform is ONLY for legitimate freelance, part-time, skill-based, or campus-related job opportunities for students.
+
+Evaluate BOTH the title and description together.
+
+Rules:
+
+JOB_OK
+- Genuine freelance or campus-related work.
+- Title matches description.
+- Realistic payment.
+- Clearly describes a service or task.
+
+SCAM
+- Unrealistic earnings.
+- Requests upfront payment.
+- Crypto/investment schemes.
+- Requests sensitive information.
+- Guaranteed income.
+- Extremely vague offers.
+
+DATING
+- Romantic requests.
+- Sugar relationships.
+- Hookups.
+- Companion requests disguised as jobs.
+
+SPAM
+- Promotions.
+- Advertisements.
+- Unrelated services.
+- Repetitive marketing.
+
+Allow casual student wording if it still clearly requests or offers a legitimate service.
+
+Reject posts that are simply personal statements without requesting work.
+
+Also return how confident you are in the label, from 0 to 1.
+
+Return ONLY valid JSON.
+
+Example:
+{"label":"JOB_OK","reason":"Short explanation","confidence":0.95}
+`;
+
+// Shared by post and chat moderation; never throws
+async function askModel(systemPrompt, contents, labels) {
+  try {
+    const response = await ai.models.generateContent({
+      model: MODERATION_MODEL,
+      contents,
+      config: {
+        systemInstruction: systemPrompt,
+        temperature: 0,
+        responseMimeType: "application/json",
+        thinkingConfig: {
+          thinkingBudget: 0,
+        },
+        responseSchema: {
+          type: "OBJECT",
+          properties: {
+            label: {
+              type: "STRING",
+              enum: labels,
+            },
+            reason: {
+              type: "STRING",
+            },
+            confidence: {
+              type: "NUMBER",
+            },
+          },
+          required: ["label", "reason"],
+        },
+      },
+    });
+
+    const result = JSON.parse(response.text);
+
+    console.log("✅ AI Moderation Result:", result);
+
+    return result;
+  } catch (err) {
+    console.log(err);
+    return { error: "AI_FAILED" };
+  }
+}
+
+function validateJobPost(title, text) {
+  return askModel(
+    SYSTEM_PROMPT,
+    `
+Title: ${title}
+
+Description:
+${text}
+`,
+    ["JOB_OK", "SPAM", "SCAM", "DATING"],
+  );
+}
+
+/* =========================
+   COMBINE RULES + MODEL
+   Decisive rules skip the model. Otherwise the model decides, and when
+   it is unavailable the rules give a fallback verdict instead.
+========================= */
+async function classifyPost({ title, text, budget }) {
+  const rules = evaluatePost({ title, text, budget });
+  const matchedRules = rules.matches.map((m) => m.rule);
+
+  if (rules.decisive) {
+    return {
+      source: "rules",
+      label: rules.label,
+      reason: `Matched rules: ${matchedRules.join(", ")}`,
+      confidence: 1,
+      matchedRules,
+    };
+  }
+
+  const result = await validateJobPost(title, text);
+  if (!result.error) {
+    return { source: "ai", ...result, matchedRules };
+  }
+
+  return {
+    source: "rules_fallback",
+    fallback: true,
+    label: rules.label,
+    reason: matchedRules.length
+      ? `AI unavailable; matched rules: ${matchedRules.join(", ")}`
+      : "AI unavailable; no rules matched",
+    confidence: null,
+    matchedRules,
+  };
+}
+
+/* =========================
+   DECISION
+========================= */
+function decide(result) {
+  // The rules alone never approve: a clean pass only means they found
+  // nothing, so without the model every post waits for a human
+  if (result.fallback) return MODERATION_STATUS.PENDING_REVIEW;
+  if (result.label === "JOB_OK") return MODERATION_STATUS.APPROVED;
+
+  const confidence = result.confidence == null ? 1 : result.confidence;
+  if (
+    ["SCAM", "DATING"].includes(result.label) &&
+    confidence < REVIEW_CONFIDENCE_THRESHOLD
+  ) {
+    return MODERATION_STATUS.PENDING_REVIEW;
+  }
+  return MODERATION_STATUS.REJECTED;
+}
+
+async function recordVerdict(verdict) {
+  const ref = await verdictsRef.add({
+    ...verdict,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    decidedAt: Date.now(),
+  });
+  return ref.id;
+}
+
+// Mirror the outcome onto the job post, if it still exists
+async function mirrorToJob(postId, status) {
+  try {
+    await jobsRef.doc(postId).update({ moderationStatus: status });
+  } catch (err) {
+    // NOT_FOUND: the author deleted the post while it was queued
+    if (err.code !== 5) throw err;
+  }
+}
+
+/* =========================
+   MODERATE POST
+   Every verdict is stored. Without a postId it's a check of draft text
+   before the post is saved, and nothing else changes. With a postId
+   the caller must be the author, the stored post is what gets judged
+   (never text from the request), and the post gets a queue entry
+   holding its current status.
+========================= */
+async function loadOwnPost(postId, authorId) {
+  const snap = await jobsRef.doc(postId).get();
+  if (!snap.exists) {
+    throw new HttpError(404, "Job not found", "JOB_NOT_FOUND");
+  }
+  const job = snap.data();
+  if (job.userId !== authorId) {
+    throw new HttpError(403, "Not allowed on this post", "FORBIDDEN");
+  }
+  return job;
+}
+
+// Once a human is involved the machine verdict can't replace theirs
+function assertMachineDecided(item) {
+  if (
+    item.status === MODERATION_STATUS.PENDING_REVIEW ||
+    item.reviewerId ||
+    item.appealed
+  ) {
+    throw new HttpError(
+      409,
+      "This post has been reviewed or appealed and can't be re-checked",
+      "MODERATION_LOCKED",
+    );
+  }
+}
+
+async function saveQueueEntry(postId, entry) {
+  const ref = queueRef.doc(postId);
+
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) {
+      tx.set(ref, { ...entry, appealed: false });
+      return;
+    }
+    assertMachineDecided(snap.data());
+    tx.update(ref, entry);
+  });
+}
+
+async function moderatePost({ postId = null, authorId, title, text, budget }) {
+  if (postId) {
+    const job = await loadOwnPost(postId, authorId);
+    // Fail before spending a model call on a post that's locked
+    const existing = await queueRef.doc(postId).get();
+    if (existing.exists) assertMachineDecided(existing.data());
+
+    title = job.title;
+    text = job.description;
+    budget = job.budget;
+  }
+
+  const result = await classifyPost({ title, text, budget });
+  const status = decide(result);
+  // Tells the author and the queue why it's waiting for a human
+  const reviewReason = result.fallback ? "AI_UNAVAILABLE" : null;
+
+  const verdictId = await recordVerdict({
+    postId,
+    authorId,
+    source: result.source,
+    model: result.source === "ai" ? MODERATION_MODEL : null,
+    label: result.label || null,
+    reason: result.reason || null,
+    confidence: result.confidence == null ? null : result.confidence,
+    matchedRules: result.matchedRules,
+    fallback: !!result.fallback,
+    status,
+  });
+
+  if (postId) {
+    await saveQueueEntry(postId, {
+      postId,
+      authorId,
+      title: title || null,
+      text: text || null,
+      status,
+      label: result.label || null,
+      reason: result.reason || null,
+      matchedRules: result.matchedRules,
+      reviewReason,
+      verdictId,
+      updatedAt: Date.now(),
+    });
+    await mirrorToJob(postId, status);
+  }
+
+  return {
+    verdictId,
+    status,
+    source: result.source,
+    fallback: !!result.fallback,
+    reviewReason,
+    label: result.label || null,
+    reason: result.reason || null,
+    confidence: result.confidence == null ? null : result.confidence,
+    matchedRules: result.matchedRules,
+  };
+}
+
+/* =========================
+   HUMAN REVIEW
+========================= */
+async function getQueueItem(postId) {
+  const snap = await queueRef.doc(postId).get();
+  if (!snap.exists) {
+    throw new HttpError(
+      404,
+      "No moderation record for this post",
+      "MODERATION_NOT_FOUND",
+    );
+  }
+  return snap.data();
+}
+
+async function listQueue({
+  status = MODERATION_STATUS.PENDING_REVIEW,
+  limit,
+  cursor,
+} = {}) {
+  const pageSize = Math.min(Number(limit) || 20, 100);
+
+  let query = queueRef.where("status", "==", status).orderBy("updatedAt");
+  if (cursor) {
+    const cursorSnap = await queueRef.doc(cursor).get();
+    if (!cursorSnap.exists) {
+      throw new HttpError(400, "Invalid cursor", "INVALID_CURSOR");
+    }
+    query = query.startAfter(cursorSnap);
+  }
+
+  const snap = await query.limit(pageSize + 1).get();
+  const docs = snap.docs.slice(0, pageSize);
+
+  return {
+    items: docs.map((doc) => doc.data()),
+    nextCursor: snap.docs.length > pageSize ? docs[docs.length - 1].id : null,
+  };
+}
+
+async function reviewPost(postId, { reviewerId, approve, note }) {
+  const item = await getQueueItem(postId);
+  if (item.status !== MODERATION_STATUS.PENDING_REVIEW) {
+    throw new HttpError(
+      409,
+      "Post is not waiting for review",
+      "NOT_PENDING_REVIEW",
+    );
+  }
+
+  const status = approve
+    ? MODERATION_STATUS.APPROVED
+    : MODERATION_STATUS.REJECTED;
+
+  const verdictId = await recordVerdict({
+    postId,
+    authorId: item.authorId,
+    source: "human",
+    model: null,
+    reviewerId,
+    label: approve ? "JOB_OK" : item.label,
+    reason: note || null,
+    status,
+  });
+
+  await queueRef.doc(postId).update({
+    status,
+    verdictId,
+    reviewerId,
+    reviewNote: note || null,
+    updatedAt: Date.now(),
+  });
+  await mirrorToJob(postId, status);
+
+  return { postId, status, verdictId };
+}
+
+/* =========================
+   APPEAL
+   An author gets one appeal per post, which puts it back in the queue.
+========================= */
+async function appealPost(postId, { authorId, statement }) {
+  const ref = queueRef.doc(postId);
+
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) {
+      throw new HttpError(
+        404,
+        "No moderation record for this post",
+        "MODERATION_NOT_FOUND",
+      );
+    }
+
+    const item = snap.data();
+    if (item.authorId !== authorId) {
+      throw new HttpError(403, "Not allowed on this post", "FORBIDDEN");
+    }
+    if (item.status !== MODERATION_STATUS.REJECTED) {
+      throw new HttpError(
+        409,
+        "Only rejected posts can be appealed",
+        "NOT_REJECTED",
+      );
+    }
+    if (item.appealed) {
+      throw new HttpError(
+        409,
+        "This post has already been appealed",
+        "ALREADY_APPEALED",
+      );
+    }
+
+    tx.update(ref, {
+      status: MODERATION_STATUS.PENDING_REVIEW,
+      appealed: true,
+      appealStatement: statement || null,
+      appealedAt: Date.now(),
+      updatedAt: Date.now(),
+    });
+  });
+
+  await mirrorToJob(postId, MODERATION_STATUS.PENDING_REVIEW);
+  return { postId, status: MODERATION_STATUS.PENDING_REVIEW };
+}
+
+module.exports = {
+  MODERATION_STATUS,
+  MODERATION_MODEL,
+  askModel,
+  validateJobPost,
+  decide,
+  moderatePost,
+  getQueueItem,
+  listQueue,
+  reviewPost,
+  appealPost,
+};
@@ -0,0 +1,382 @@
+// lib/moderationRules.js
+
+/* =========================
+   RULE-BASED PRE-FILTER
+   Runs before the model. Each rule that matches adds its weight to its
+   label; a label reaching decisiveScore decides the post on its own.
+   MODERATION_RULES (JSON) overrides any top-level key below.
+========================= */
+const DEFAULT_MODERATION_RULES = {
+  okLabel: "JOB_OK",
+  decisiveScore: 1,
+
+  keywords: [
+    {
+      id: "upfront_payment",
+      label: "SCAM",
+      weight: 1,
+      terms: [
+        "pay upfront",
+        "upfront payment",
+        "registration fee",
+        "activation fee",
+        "pay before you start",
+        "pay to get started",
+      ],
+    },
+    {
+      id: "crypto_scheme",
+      label: "SCAM",
+      weight: 1,
+      terms: [
+        "crypto investment",
+        "bitcoin investment",
+        "forex trading",
+        "double your money",
+        "guaranteed returns",
+        "binary options",
+      ],
+    },
+    {
+      id: "crypto_mention",
+      label: "SCAM",
+      weight: 0.5,
+      terms: ["bitcoin", "crypto", "usdt", "btc", "forex"],
+    },
+    {
+      id: "sensitive_info",
+      label: "SCAM",
+      weight: 1,
+      terms: ["bvn", "atm pin", "card pin", "otp", "card details"],
+    },
+    {
+      id: "dating",
+      label: "DATING",
+      weight: 1,
+      terms: [
+        "sugar daddy",
+        "sugar mummy",
+        "sugar mommy",
+        "hookup",
+        "companion wanted",
+        "friends with benefits",
+      ],
+    },
+    {
+      id: "relationship",
+      label: "DATING",
+      weight: 0.5,
+      terms: ["girlfriend", "boyfriend", "date me", "relationship"],
+    },
+    {
+      id: "promotion",
+      label: "SPAM",
+      weight: 0.5,
+      terms: [
+        "promo code",
+        "discount",
+        "buy now",
+        "limited offer",
+        "follow me",
+      ],
+    },
+  ],
+
+  // Regexes are matched case-insensitively against title + description
+  patterns: [
+    {
+      id: "guaranteed_income",
+      label: "SCAM",
+      weight: 1,
+      pattern: "(guaranteed|assured)\\s+(income|earnings|profit|payout)",
+    },
+    {
+      id: "no_experience_big_money",
+      label: "SCAM",
+      weight: 0.5,
+      pattern: "no\\s+(experience|skills?)\\s+(needed|required)",
+    },
+  ],
+
+  // Contact details push the conversation off-platform
+  contacts: {
+    phone: { id: "phone_number", label: "SCAM", weight: 0.5 },
+    link: { id: "external_link", label: "SPAM", weight: 0.5 },
+  },
+
+  // Pay claims, in Naira
+  pay: {
+    id: "unrealistic_pay",
+    label: "SCAM",
+    weight: 1,
+    maxDailyPay: 50000,
+    maxBudgetMultiple: 10,
+  },
+};
+
+/* =========================
+   CHAT RULES
+   Chat has its own categories: the risk there is being talked into
+   paying outside escrow. CHAT_MODERATION_RULES (JSON) overrides these.
+========================= */
+const DEFAULT_CHAT_MODERATION_RULES = {
+  okLabel: "CHAT_OK",
+  decisiveScore: 1,
+
+  keywords: [
+    {
+      id: "pay_directly",
+      label: "OFF_PLATFORM_PAYMENT",
+      weight: 1,
+      terms: [
+        "pay me directly",
+        "pay directly",
+        "send it to my account",
+        "transfer to my account",
+        "outside the app",
+        "skip escrow",
+        "don't use escrow",
+        "dont use escrow",
+        "cancel the escrow",
+      ],
+    },
+    {
+      id: "bank_details",
+      label: "BANK_DETAILS",
+      weight: 0.5,
+      terms: [
+        "account number",
+        "acct no",
+        "acc no",
+        "account name",
+        "opay",
+        "palmpay",
+        "moniepoint",
+        "kuda",
+      ],
+    },
+    {
+      id: "upfront_payment",
+      label: "SCAM",
+      weight: 1,
+      terms: [
+        "pay upfront",
+        "registration fee",
+        "activation fee",
+        "processing fee",
+      ],
+    },
+    {
+      id: "sensitive_info",
+      label: "SCAM",
+      weight: 1,
+      terms: ["bvn", "atm pin", "card pin", "otp", "card details"],
+    },
+    {
+      id: "crypto_mention",
+      label: "SCAM",
+      weight: 0.5,
+      terms: ["bitcoin", "crypto", "usdt", "btc", "forex"],
+    },
+  ],
+
+  patterns: [
+    // A bare 10-digit NUBAN account number
+    {
+      id: "account_number",
+      label: "BANK_DETAILS",
+      weight: 0.5,
+      pattern: "\\b\\d{10}\\b",
+    },
+  ],
+
+  contacts: {
+    phone: { id: "phone_number", label: "OFF_PLATFORM_PAYMENT", weight: 0.5 },
+    link: { id: "external_link", label: "OFF_PLATFORM_PAYMENT", weight: 0.5 },
+  },
+
+  pay: null,
+};
+
+function loadRules(defaults, envName) {
+  const rules = { ...defaults };
+  if (!process.env[envName]) return rules;
+
+  try {
+    Object.assign(rules, JSON.parse(process.env[envName]));
+  } catch (err) {
+    console.error(`❌ Invalid ${envName}, using defaults:`, err.message);
+  }
+  return rules;
+}
+
+const MODERATION_RULES = loadRules(
+  DEFAULT_MODERATION_RULES,
+  "MODERATION_RULES",
+);
+const CHAT_MODERATION_RULES = loadRules(
+  DEFAULT_CHAT_MODERATION_RULES,
+  "CHAT_MODERATION_RULES",
+);
+
+/* =========================
+   DETECTORS
+========================= */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function matchTerm(text, term) {
+  const regex = new RegExp(`\\b${escapeRegex(term.toLowerCase())}\\b`, "i");
+  const found = text.match(regex);
+  return found ? found[0] : null;
+}
+
+// Nigerian mobile numbers: 080..., +234 80..., with or without spaces
+const PHONE_PATTERN = /(\+?234|0)[\s-]?[789][01]\d(?:[\s-]?\d){7}/;
+const LINK_PATTERN =
+  /\b(https?:\/\/\S+|www\.\S+|wa\.me\/\S+|t\.me\/\S+|bit\.ly\/\S+)/i;
+
+// "₦50,000", "N50k", "50000 naira", "NGN 2m"
+const AMOUNT_PATTERN =
+  /(?:₦|\bngn\s?|\bn)\s?(\d[\d,]*(?:\.\d+)?)\s*(k|m)?\b|\b(\d[\d,]*(?:\.\d+)?)\s*(k|m)?\s*(?:naira|ngn)\b/gi;
+
+const PERIODS = [
+  { pattern: /^\s*(?:per|an?|every|\/)\s*hour|^\s*hourly/i, perDay: 8 },
+  { pattern: /^\s*(?:per|a|every|\/)\s*day|^\s*daily/i, perDay: 1 },
+  { pattern: /^\s*(?:per|a|every|\/)\s*week|^\s*weekly/i, perDay: 1 / 7 },
+];
+
+function parseAmount(digits, suffix) {
+  const value = Number(String(digits).replace(/,/g, ""));
+  if (!suffix) return value;
+  return value * (suffix.toLowerCase() === "m" ? 1000000 : 1000);
+}
+
+function payClaims(text) {
+  const claims = [];
+  for (const found of text.matchAll(AMOUNT_PATTERN)) {
+    const amount = parseAmount(found[1] || found[3], found[2] || found[4]);
+    const after = text.slice(found.index + found[0].length);
+    const period = PERIODS.find((p) => p.pattern.test(after));
+    claims.push({
+      match: found[0].trim(),
+      amount,
+      dailyAmount: period ? amount * period.perDay : null,
+    });
+  }
+  return claims;
+}
+
+function unrealisticPay(text, budget, rule) {
+  for (const claim of payClaims(text)) {
+    if (claim.dailyAmount != null && claim.dailyAmount > rule.maxDailyPay) {
+      return claim.match;
+    }
+    if (budget > 0 && claim.amount > budget * rule.maxBudgetMultiple) {
+      return claim.match;
+    }
+  }
+  return null;
+}
+
+/* =========================
+   EVALUATE
+   Returns the strongest label, every matched rule, and whether the
+   rules are confident enough to skip the model.
+========================= */
+function evaluate(content, rules, { budget } = {}) {
+  const matches = [];
+
+  for (const rule of rules.keywords || []) {
+    for (const term of rule.terms) {
+      const found = matchTerm(content, term);
+      if (found) {
+        matches.push({
+          rule: rule.id,
+          label: rule.label,
+          weight: rule.weight,
+          match: found,
+        });
+        break;
+      }
+    }
+  }
+
+  for (const rule of rules.patterns || []) {
+    const found = content.match(new RegExp(rule.pattern, "i"));
+    if (found) {
+      matches.push({
+        rule: rule.id,
+        label: rule.label,
+        weight: rule.weight,
+        match: found[0],
+      });
+    }
+  }
+
+  const { phone, link } = rules.contacts || {};
+  const phoneFound = phone && content.match(PHONE_PATTERN);
+  if (phoneFound) {
+    matches.push({
+      rule: phone.id,
+      label: phone.label,
+      weight: phone.weight,
+      match: phoneFound[0],
+    });
+  }
+  const linkFound = link && content.match(LINK_PATTERN);
+  if (linkFound) {
+    matches.push({
+      rule: link.id,
+      label: link.label,
+      weight: link.weight,
+      match: linkFound[0],
+    });
+  }
+
+  if (rules.pay) {
+    const found = unrealisticPay(content, Number(budget) || 0, rules.pay);
+    if (found) {
+      matches.push({
+        rule: rules.pay.id,
+        label: rules.pay.label,
+        weight: rules.pay.weight,
+        match: found,
+      });
+    }
+  }
+
+  const scores = {};
+  for (const m of matches) {
+    scores[m.label] = (scores[m.label] || 0) + m.weight;
+  }
+
+  const [label, score] = Object.entries(scores).sort(
+    (a, b) => b[1] - a[1],
+  )[0] || [rules.okLabel, 0];
+
+  return {
+    label,
+    score,
+    decisive: label !== rules.okLabel && score >= rules.decisiveScore,
+    matches,
+  };
+}
+
+function evaluatePost({ title, text, budget } = {}) {
+  return evaluate(`${title || ""}\n${text || ""}`, MODERATION_RULES, {
+    budget,
+  });
+}
+
+function evaluateChatMessage(message) {
+  return evaluate(String(message || ""), CHAT_MODERATION_RULES);
+}
+
+module.exports = {
+  MODERATION_RULES,
+  CHAT_MODERATION_RULES,
+  evaluatePost,
+  evaluateChatMessage,
+};
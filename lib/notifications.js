@@ -0,0 +1,408 @@
+// lib/notifications.js
+
+const { Expo } = require("expo-server-sdk");
+const { admin, db } = require("./firebase");
+const { HttpError } = require("./errors");
+const inbox = require("./inbox");
+const preferences = require("./preferences");
+const outbox = require("./outbox");
+
+const expo = new Expo();
+
+const ticketsRef = db.collection("PushTickets");
+const deferredRef = db.collection("DeferredPushes");
+
+// Expo keeps receipts for a day; wait a bit before asking for them
+const RECEIPT_DELAY_MS = 15 * 60 * 1000;
+const RECEIPT_BATCH_SIZE = 1000;
+const DEFER_BATCH_SIZE = 500;
+
+function hoursUntil(at) {
+  return Math.max(1, Math.round((at - Date.now()) / (60 * 60 * 1000)));
+}
+
+/* =========================
+   TEMPLATES
+   Each takes the caller's variables and returns the push content.
+   title/body passed by a caller always win over the defaults.
+========================= */
+const TEMPLATES = {
+  chat: (vars) => ({
+    title: vars.senderName || "New message",
+    body: vars.message,
+    data: { type: "chat", roomId: vars.roomId },
+  }),
+  chat_digest: (vars) => ({
+    title: vars.senderName || "New messages",
+    body: vars.senderName
+      ? `${vars.count} new messages from ${vars.senderName}`
+      : `${vars.count} new messages`,
+    data: { type: "chat", roomId: vars.roomId },
+  }),
+  chat_safety_warning: (vars) => ({
+    title: "Stay safe",
+    body: `${vars.senderName || "Someone"} may be asking you to pay outside escrow. Never pay or share bank details in chat.`,
+    data: { type: "chat_safety_warning", roomId: vars.roomId },
+  }),
+  hired: (vars) => ({
+    title: "You've been hired!",
+    body: vars.jobTitle
+      ? `You were hired for "${vars.jobTitle}"`
+      : "A client hired you for a job",
+    data: { type: "hired", roomId: vars.roomId },
+  }),
+  paid: (vars) => ({
+    title: "Payment received",
+    body: vars.amount
+      ? `You've been paid ₦${vars.amount}`
+      : "A client has paid for your work",
+    data: { type: "paid", roomId: vars.roomId },
+  }),
+  job: (vars) => ({
+    title: vars.jobTitle || "New job posted",
+    body: vars.description || "A new job matching you was posted",
+    data: { type: "job", jobId: vars.jobId },
+  }),
+  escrow_released: (vars) => ({
+    title: "Funds released",
+    body: `₦${vars.amount} from escrow is now in your wallet`,
+    data: { type: "escrow_released", escrowId: vars.escrowId },
+  }),
+  escrow_release_reminder: (vars) => ({
+    title: "Escrow releasing soon",
+    body: `₦${vars.amount} will be released to the freelancer in about ${hoursUntil(vars.autoReleaseAt)} hours.${vars.canExtend ? " Not done yet? You can extend once." : ""}`,
+    data: { type: "escrow_release_reminder", escrowId: vars.escrowId },
+  }),
+  escrow_extended: (vars) => ({
+    title: "Release date extended",
+    body: "The client extended the escrow release date",
+    data: { type: "escrow_extended", escrowId: vars.escrowId },
+  }),
+  dispute_opened: (vars) => ({
+    title: "Escrow disputed",
+    body: `A dispute was opened on ₦${vars.amount} in escrow. Add your side before an admin decides.`,
+    data: { type: "dispute_opened", escrowId: vars.escrowId },
+  }),
+  dispute_resolved: (vars) => ({
+    title: "Dispute resolved",
+    body: vars.amount
+      ? `The dispute was settled: ₦${vars.amount} is now in your wallet`
+      : "The dispute was settled and no funds went to you",
+    data: {
+      type: "dispute_resolved",
+      escrowId: vars.escrowId,
+      outcome: vars.outcome,
+    },
+  }),
+  withdrawal_completed: (vars) => ({
+    title: "Withdrawal completed",
+    body: `₦${vars.net} has been sent to your bank account`,
+    data: { type: "withdrawal_completed", reference: vars.reference },
+  }),
+};
+
+// Preference category per template; anything missing is about money
+// moving or safety and is never muted or held back for quiet hours.
+const TEMPLATE_CATEGORIES = {
+  chat: "chat",
+  chat_digest: "chat",
+  hired: "hired",
+  paid: "paid",
+  job: "job",
+};
+
+function renderTemplate(type, vars = {}) {
+  const template = TEMPLATES[type];
+  if (!template) {
+    throw new HttpError(
+      400,
+      `Unknown notification type ${type}`,
+      "UNKNOWN_NOTIFICATION_TYPE",
+    );
+  }
+
+  const rendered = template(vars);
+  // Optional vars like roomId may be missing, and Firestore refuses
+  // undefined wherever this data is written
+  const data = Object.fromEntries(
+    Object.entries(rendered.data).filter(([, value]) => value !== undefined),
+  );
+  return {
+    title: vars.title || rendered.title,
+    body: vars.body || rendered.body,
+    data,
+  };
+}
+
+/* =========================
+   TOKENS
+========================= */
+async function removeToken(userId, token) {
+  const userRef = db.collection("users").doc(userId);
+
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(userRef);
+    // Only clear it if the device hasn't registered a new token since
+    if (snap.exists && snap.data().expoPushToken === token) {
+      tx.update(userRef, {
+        expoPushToken: admin.firestore.FieldValue.delete(),
+      });
+    }
+  });
+
+  console.log(`🧹 Removed unregistered push token for ${userId}`);
+}
+
+async function getUserToken(userId) {
+  const snap = await db.collection("users").doc(userId).get();
+  if (!snap.exists) return null;
+
+  const token = snap.data().expoPushToken;
+  return Expo.isExpoPushToken(token) ? token : null;
+}
+
+/* =========================
+   SEND
+   deliveries: [{ userId, token, content }]. Missing or invalid tokens
+   are skipped. Tickets with an id are kept
+   until their receipt is checked; DeviceNotRegistered tokens are dropped.
+========================= */
+async function sendPushes(deliveries) {
+  const valid = deliveries.filter((d) => Expo.isExpoPushToken(d.token));
+  const result = {
+    sent: 0,
+    failed: 0,
+    skipped: deliveries.length - valid.length,
+  };
+  if (!valid.length) return result;
+
+  const messages = valid.map(({ token, content }) => ({
+    to: token,
+    sound: "default",
+    title: content.title,
+    body: content.body,
+    data: content.data,
+    ...(content.badge != null && { badge: content.badge }),
+  }));
+
+  let offset = 0;
+  for (const chunk of expo.chunkPushNotifications(messages)) {
+    const batch = valid.slice(offset, offset + chunk.length);
+    offset += chunk.length;
+
+    let tickets;
+    try {
+      tickets = await expo.sendPushNotificationsAsync(chunk);
+    } catch (err) {
+      console.error("❌ Expo push request failed:", err.message);
+      result.failed += chunk.length;
+      continue;
+    }
+
+    const writes = db.batch();
+    for (let i = 0; i < tickets.length; i++) {
+      const ticket = tickets[i];
+      const { userId, token, content } = batch[i];
+
+      if (ticket.status === "ok") {
+        result.sent += 1;
+        writes.set(ticketsRef.doc(ticket.id), {
+          userId,
+          token,
+          type: content.data.type,
+          sentAt: Date.now(),
+        });
+        continue;
+      }
+
+      result.failed += 1;
+      console.error(`❌ Push to ${userId} rejected:`, ticket.message);
+      if (ticket.details && ticket.details.error === "DeviceNotRegistered") {
+        await removeToken(userId, token);
+      }
+    }
+    await writes.commit();
+  }
+
+  return result;
+}
+
+// Why a push to this user should not go out right now, if at all
+function pushDecision(prefs, type, vars, now = Date.now()) {
+  const category = TEMPLATE_CATEGORIES[type];
+  if (!category) return { send: true };
+
+  if (prefs.categories[category] === false) {
+    return { send: false, reason: "CATEGORY_DISABLED" };
+  }
+  if (category === "chat" && prefs.mutedRooms.includes(vars.roomId)) {
+    return { send: false, reason: "ROOM_MUTED" };
+  }
+  if (preferences.isQuietTime(prefs, now)) {
+    return {
+      send: false,
+      reason: "DEFERRED",
+      deliverAt: preferences.quietHoursEndAt(prefs, now),
+    };
+  }
+  return { send: true };
+}
+
+async function pushToUser(userId, content) {
+  const token = await getUserToken(userId);
+  if (!token) {
+    return { sent: 0, failed: 0, skipped: 1, reason: "NO_PUSH_TOKEN" };
+  }
+
+  return sendPushes([
+    {
+      userId,
+      token,
+      content: { ...content, badge: await inbox.unreadCount(userId) },
+    },
+  ]);
+}
+
+/* =========================
+   NOTIFY USER
+   Always saves to the inbox. The push then follows the user's
+   preferences: muted categories and rooms are skipped, and pushes
+   during quiet hours are deferred until the window ends. Everything
+   else goes through the outbox so a failed send is retried.
+========================= */
+async function notifyUser(userId, type, vars = {}) {
+  const rendered = renderTemplate(type, vars);
+  const notificationId = await inbox.addToInbox(userId, rendered);
+  const content = {
+    ...rendered,
+    data: { ...rendered.data, notificationId },
+  };
+
+  const prefs = await preferences.getPreferences(userId);
+  const decision = pushDecision(prefs, type, vars);
+
+  if (decision.reason === "DEFERRED") {
+    await deferredRef.add(deferredPush(userId, content, decision.deliverAt));
+    return { notificationId, sent: 0, failed: 0, skipped: 0, ...decision };
+  }
+  if (!decision.send) {
+    return { notificationId, sent: 0, failed: 0, skipped: 1, ...decision };
+  }
+
+  const outboxId = await outbox.enqueuePush(userId, content);
+  return { notificationId, queued: true, outboxId };
+}
+
+/* =========================
+   DEFERRED PUSHES
+========================= */
+function deferredPush(userId, content, deliverAt) {
+  return {
+    userId,
+    content,
+    deliverAt,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+}
+
+// Holds pushes for quiet hours; each entry is { userId, content, deliverAt }
+async function deferPushes(entries) {
+  for (let i = 0; i < entries.length; i += DEFER_BATCH_SIZE) {
+    const batch = db.batch();
+    for (const { userId, content, deliverAt } of entries.slice(
+      i,
+      i + DEFER_BATCH_SIZE,
+    )) {
+      batch.set(deferredRef.doc(), deferredPush(userId, content, deliverAt));
+    }
+    await batch.commit();
+  }
+}
+
+async function flushDeferredPushes() {
+  const snap = await deferredRef
+    .where("deliverAt", "<=", Date.now())
+    .limit(RECEIPT_BATCH_SIZE)
+    .get();
+
+  let queued = 0;
+  for (const doc of snap.docs) {
+    const { userId, content } = doc.data();
+    // Hand over to the outbox in one batch so it's queued exactly once
+    const batch = db.batch();
+    const ref = outbox.outboxRef.doc();
+    batch.delete(doc.ref);
+    batch.set(
+      ref,
+      outbox.newMessage(outbox.CHANNELS.PUSH, { userId, content }),
+    );
+    await batch.commit();
+    outbox.dispatch(ref.id);
+    queued += 1;
+  }
+
+  return { due: snap.size, queued };
+}
+
+/* =========================
+   RECEIPTS
+========================= */
+async function checkPushReceipts() {
+  const snap = await ticketsRef
+    .where("sentAt", "<=", Date.now() - RECEIPT_DELAY_MS)
+    .limit(RECEIPT_BATCH_SIZE)
+    .get();
+  if (snap.empty) return { checked: 0, removed: 0 };
+
+  const ticketsById = new Map(snap.docs.map((doc) => [doc.id, doc.data()]));
+  let removed = 0;
+
+  const idChunks = expo.chunkPushNotificationReceiptIds([
+    ...ticketsById.keys(),
+  ]);
+  for (const ids of idChunks) {
+    let receipts;
+    try {
+      receipts = await expo.getPushNotificationReceiptsAsync(ids);
+    } catch (err) {
+      console.error("❌ Expo receipt request failed:", err.message);
+      continue;
+    }
+
+    const writes = db.batch();
+    for (const id of ids) {
+      const receipt = receipts[id];
+      const ticket = ticketsById.get(id);
+
+      if (receipt && receipt.status === "error") {
+        console.error(`❌ Push receipt error for ${ticket.userId}:`, receipt);
+        if (
+          receipt.details &&
+          receipt.details.error === "DeviceNotRegistered"
+        ) {
+          await removeToken(ticket.userId, ticket.token);
+          removed += 1;
+        }
+      }
+      // A missing receipt has expired or was never produced; stop asking
+      writes.delete(ticketsRef.doc(id));
+    }
+    await writes.commit();
+  }
+
+  return { checked: ticketsById.size, removed };
+}
+
+module.exports = {
+  TEMPLATES,
+  renderTemplate,
+  getUserToken,
+  sendPushes,
+  pushDecision,
+  deferPushes,
+  pushToUser,
+  notifyUser,
+  flushDeferredPushes,
+  removeToken,
+  checkPushReceipts,
+};
@@ -0,0 +1,174 @@
+// lib/outbox.js
+
+const { admin, db } = require("./firebase");
+const { HttpError } = require("./errors");
+
+/* =========================
+   OUTBOX
+   Outbox/{id}: one email or push waiting to go out. dueAt is set only
+   while a message still needs work (pending, or the lease on a send in
+   progress), so the worker finds everything with one range query.
+========================= */
+const OUTBOX_STATUS = {
+  PENDING: "pending",
+  SENDING: "sending",
+  SENT: "sent",
+  DEAD: "dead",
+};
+
+const CHANNELS = { EMAIL: "email", PUSH: "push" };
+
+const OUTBOX_MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS || 6);
+
+// Firestore's limit on writes per batch
+const ENQUEUE_BATCH_SIZE = 500;
+
+const outboxRef = db.collection("Outbox");
+
+// The worker registers itself here so new messages go out right away
+let dispatcher = null;
+
+function setDispatcher(fn) {
+  dispatcher = fn;
+}
+
+function dispatch(id) {
+  if (!dispatcher) return;
+  dispatcher(id).catch((err) =>
+    console.error(`❌ Outbox dispatch of ${id} failed:`, err.message),
+  );
+}
+
+// The stored shape, for callers that queue inside their own batch
+function newMessage(channel, payload, { maxAttempts } = {}) {
+  const now = Date.now();
+  return {
+    channel,
+    payload,
+    status: OUTBOX_STATUS.PENDING,
+    attempts: 0,
+    maxAttempts: maxAttempts || OUTBOX_MAX_ATTEMPTS,
+    dueAt: now,
+    lastError: null,
+    createdAt: now,
+    queuedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+}
+
+async function enqueue(channel, payload, options) {
+  const ref = outboxRef.doc();
+  await ref.set(newMessage(channel, payload, options));
+  dispatch(ref.id);
+  return ref.id;
+}
+
+function enqueueEmail(to, template, vars) {
+  return enqueue(CHANNELS.EMAIL, { to, template, vars });
+}
+
+// The link is added by the worker at delivery (see accountEmails.withLink)
+function enqueueAccountEmail(to, template, vars = {}) {
+  return enqueue(CHANNELS.EMAIL, { to, template, vars, accountLink: true });
+}
+
+function enqueuePush(userId, content) {
+  return enqueue(CHANNELS.PUSH, { userId, content });
+}
+
+// Many pushes at once, each { userId, content }, in as few batches as
+// Firestore allows
+async function enqueuePushes(pushes) {
+  for (let i = 0; i < pushes.length; i += ENQUEUE_BATCH_SIZE) {
+    const batch = db.batch();
+    const ids = [];
+    for (const { userId, content } of pushes.slice(i, i + ENQUEUE_BATCH_SIZE)) {
+      const ref = outboxRef.doc();
+      batch.set(ref, newMessage(CHANNELS.PUSH, { userId, content }));
+      ids.push(ref.id);
+    }
+    await batch.commit();
+    ids.forEach(dispatch);
+  }
+  return pushes.length;
+}
+
+/* =========================
+   ADMIN
+========================= */
+async function getMessage(id) {
+  const snap = await outboxRef.doc(id).get();
+  if (!snap.exists) {
+    throw new HttpError(404, "Outbox message not found", "OUTBOX_NOT_FOUND");
+  }
+  return { id: snap.id, ...snap.data() };
+}
+
+async function listMessages({
+  status = OUTBOX_STATUS.DEAD,
+  limit,
+  cursor,
+} = {}) {
+  if (!Object.values(OUTBOX_STATUS).includes(status)) {
+    throw new HttpError(400, `Unknown status ${status}`, "INVALID_STATUS");
+  }
+  const pageSize = Math.min(Number(limit) || 20, 100);
+
+  let query = outboxRef
+    .where("status", "==", status)
+    .orderBy(admin.firestore.FieldPath.documentId());
+  if (cursor) query = query.startAfter(cursor);
+
+  const snap = await query.limit(pageSize + 1).get();
+  const docs = snap.docs.slice(0, pageSize);
+
+  return {
+    items: docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+    nextCursor: snap.docs.length > pageSize ? docs[docs.length - 1].id : null,
+  };
+}
+
+// Gives a dead message a fresh set of attempts
+async function resendMessage(id, { requestedBy } = {}) {
+  const ref = outboxRef.doc(id);
+
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) {
+      throw new HttpError(404, "Outbox message not found", "OUTBOX_NOT_FOUND");
+    }
+    if (snap.data().status !== OUTBOX_STATUS.DEAD) {
+      throw new HttpError(
+        409,
+        "Only dead messages can be re-sent",
+        "OUTBOX_NOT_DEAD",
+      );
+    }
+
+    tx.update(ref, {
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 0,
+      dueAt: Date.now(),
+      resentBy: requestedBy || null,
+      resentAt: Date.now(),
+    });
+  });
+
+  dispatch(id);
+  return getMessage(id);
+}
+
+module.exports = {
+  OUTBOX_STATUS,
+  CHANNELS,
+  outboxRef,
+  setDispatcher,
+  dispatch,
+  newMessage,
+  enqueueEmail,
+  enqueueAccountEmail,
+  enqueuePush,
+  enqueuePushes,
+  getMessage,
+  listMessages,
+  resendMessage,
+};
@@ -0,0 +1,142 @@
+// lib/outboxWorker.js
+
+const { admin, db } = require("./firebase");
+const outbox = require("./outbox");
+const mail = require("./mail");
+const notifications = require("./notifications");
+const accountEmails = require("./accountEmails");
+
+const { OUTBOX_STATUS, CHANNELS, outboxRef } = outbox;
+
+// How long a worker owns a message before another may pick it up
+const OUTBOX_LEASE_MS = 2 * 60 * 1000;
+const OUTBOX_BATCH_SIZE = 50;
+
+const BACKOFF_BASE_MS = Number(process.env.OUTBOX_BACKOFF_BASE_MS || 30000);
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+
+// 30s, 1m, 2m, 4m ... capped, with jitter so retries don't bunch up
+function backoffMs(attempts) {
+  const delay = Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/* =========================
+   DELIVERY
+   Throws when the message should be tried again.
+========================= */
+async function deliver({ channel, payload }) {
+  if (channel === CHANNELS.EMAIL) {
+    const vars = payload.accountLink
+      ? await accountEmails.withLink(payload)
+      : payload.vars;
+    return mail.sendTemplate(payload.to, payload.template, vars);
+  }
+
+  if (channel === CHANNELS.PUSH) {
+    const result = await notifications.pushToUser(
+      payload.userId,
+      payload.content,
+    );
+    if (result.failed > 0) throw new Error("Push was not accepted by Expo");
+    return result;
+  }
+
+  throw new Error(`Unknown outbox channel ${channel}`);
+}
+
+// Takes the lease on one message, or returns null if it isn't due
+async function claim(id) {
+  const ref = outboxRef.doc(id);
+  const now = Date.now();
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+
+    const message = snap.data();
+    if (message.dueAt == null || message.dueAt > now) return null;
+
+    tx.update(ref, {
+      status: OUTBOX_STATUS.SENDING,
+      attempts: message.attempts + 1,
+      dueAt: now + OUTBOX_LEASE_MS,
+    });
+    return { ...message, attempts: message.attempts + 1 };
+  });
+}
+
+async function processMessage(id) {
+  const message = await claim(id);
+  if (!message) return null;
+
+  const ref = outboxRef.doc(id);
+  const FieldValue = admin.firestore.FieldValue;
+
+  try {
+    const result = await deliver(message);
+    await ref.update({
+      status: OUTBOX_STATUS.SENT,
+      dueAt: FieldValue.delete(),
+      result: result || null,
+      sentAt: Date.now(),
+    });
+    return OUTBOX_STATUS.SENT;
+  } catch (err) {
+    const dead = message.attempts >= message.maxAttempts;
+    await ref.update({
+      status: dead ? OUTBOX_STATUS.DEAD : OUTBOX_STATUS.PENDING,
+      dueAt: dead
+        ? FieldValue.delete()
+        : Date.now() + backoffMs(message.attempts),
+      lastError: err.message,
+      lastAttemptAt: Date.now(),
+    });
+
+    if (dead) {
+      console.error(`💀 Outbox ${id} dead after ${message.attempts} attempts`);
+    }
+    return dead ? OUTBOX_STATUS.DEAD : OUTBOX_STATUS.PENDING;
+  }
+}
+
+/* =========================
+   WORKER
+   Picks up everything due: new messages, retries whose backoff has
+   passed, and sends whose worker died mid-lease.
+========================= */
+let outboxRunning = false;
+
+async function processOutbox() {
+  // Skip if the previous run in this process hasn't finished yet
+  if (outboxRunning) return { skipped: true };
+  outboxRunning = true;
+
+  const totals = { due: 0, sent: 0, retrying: 0, dead: 0 };
+  try {
+    const snap = await outboxRef
+      .where("dueAt", "<=", Date.now())
+      .orderBy("dueAt")
+      .limit(OUTBOX_BATCH_SIZE)
+      .get();
+    totals.due = snap.size;
+
+    for (const doc of snap.docs) {
+      try {
+        const status = await processMessage(doc.id);
+        if (status === OUTBOX_STATUS.SENT) totals.sent += 1;
+        if (status === OUTBOX_STATUS.PENDING) totals.retrying += 1;
+        if (status === OUTBOX_STATUS.DEAD) totals.dead += 1;
+      } catch (err) {
+        console.error(`❌ Outbox ${doc.id} processing error:`, err.message);
+      }
+    }
+  } finally {
+    outboxRunning = false;
+  }
+  return totals;
+}
+
+outbox.setDispatcher(processMessage);
+
+module.exports = { processMessage, processOutbox };
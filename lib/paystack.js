@@ -0,0 +1,42 @@
+// lib/paystack.js
+
+const axios = require("axios");
+
+const PAYSTACK_SECRET_KEY = process.env.PAYSTACK_SECRET_KEY;
+
+// Point at a local stand-in (dev/paystackStandIn.js) outside production
+const PAYSTACK_BASE_URL =
+  process.env.PAYSTACK_BASE_URL || "https://api.paystack.co";
+
+/* =========================
+   PAYSTACK HELPERS
+========================= */
+async function paystackPost(path, body, headers = {}) {
+  const res = await axios.post(`${PAYSTACK_BASE_URL}${path}`, body, {
+    headers: {
+      Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`,
+      "Content-Type": "application/json",
+      ...headers,
+    },
+    timeout: 15000,
+  });
+  return res.data;
+}
+
+async function paystackGet(path, params = {}) {
+  const res = await axios.get(`${PAYSTACK_BASE_URL}${path}`, {
+    headers: {
+      Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`,
+    },
+    params,
+    timeout: 15000,
+  });
+  return res.data;
+}
+
+// Paystack amounts are in kobo; everything on our side is in Naira
+function toKobo(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+module.exports = { paystackPost, paystackGet, toKobo };
@@ -0,0 +1,170 @@
+// lib/paystackEvents.js
+
+const { admin, db } = require("./firebase");
+const { HttpError } = require("./errors");
+const {
+  releaseHold,
+  settleWithdrawal,
+  reverseWithdrawal,
+} = require("./withdrawals");
+const { creditTopUp } = require("./topups");
+const { isFeeSweep, settleFeeSweep, failFeeSweep } = require("./fees");
+
+/* =========================
+   EVENT HANDLERS
+========================= */
+function failureReason(data) {
+  return data.reason || data.gateway_response || null;
+}
+
+const HANDLERS = {
+  "charge.success": (data) => creditTopUp(data.reference, data),
+  "transfer.success": (data) =>
+    isFeeSweep(data.reference)
+      ? settleFeeSweep(data.reference)
+      : settleWithdrawal(data.reference),
+  "transfer.failed": (data) =>
+    isFeeSweep(data.reference)
+      ? failFeeSweep(data.reference, failureReason(data))
+      : releaseHold(data.reference, "failed", failureReason(data)),
+  "transfer.reversed": (data) =>
+    isFeeSweep(data.reference)
+      ? failFeeSweep(data.reference, failureReason(data))
+      : reverseWithdrawal(data.reference, failureReason(data)),
+};
+
+const eventsRef = db.collection("PaystackEvents");
+
+// Paystack has no top-level event id; the event name plus the object id
+// is stable across its retries.
+function eventId({ event, data = {} }) {
+  return `${event}_${data.id || data.reference}`.replace(/\//g, "_");
+}
+
+/* =========================
+   PROCESS
+   Applies a stored event once. Processed and unhandled events are
+   skipped on retry. A claim holds the event for PROCESSING_LEASE_MS;
+   after that, or once it has failed, the next webhook delivery or the
+   retry job can take it again. force re-runs any.
+========================= */
+const PROCESSING_LEASE_MS = Number(
+  process.env.PAYSTACK_EVENT_LEASE_MS || 5 * 60 * 1000,
+);
+const MAX_ATTEMPTS = Number(process.env.PAYSTACK_EVENT_MAX_ATTEMPTS || 8);
+
+function isClaimable(stored, now) {
+  if (stored.status === "processing") {
+    return (stored.processingAt || 0) + PROCESSING_LEASE_MS <= now;
+  }
+  return !["processed", "unhandled"].includes(stored.status);
+}
+
+async function processEvent(id, { force = false } = {}) {
+  const ref = eventsRef.doc(id);
+
+  const claimed = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) {
+      throw new HttpError(404, "Event not found", "EVENT_NOT_FOUND");
+    }
+
+    const stored = snap.data();
+    const now = Date.now();
+    if (!force && !isClaimable(stored, now)) return null;
+
+    tx.update(ref, {
+      status: "processing",
+      processingAt: now,
+      attempts: admin.firestore.FieldValue.increment(1),
+    });
+    return stored;
+  });
+
+  if (!claimed) return { id, duplicate: true };
+
+  const handler = HANDLERS[claimed.event];
+  if (!handler) {
+    console.log(`ℹ️ Unhandled Paystack event ${claimed.event} (${id})`);
+    await ref.update({ status: "unhandled" });
+    return { id, status: "unhandled" };
+  }
+
+  try {
+    await handler(claimed.data || {});
+    await ref.update({
+      status: "processed",
+      error: null,
+      processedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { id, status: "processed" };
+  } catch (err) {
+    console.error(`❌ Paystack event ${id} failed:`, err);
+    await ref.update({ status: "failed", error: err.message });
+    return { id, status: "failed" };
+  }
+}
+
+/* =========================
+   RECORD
+   Saves the raw event by id before anything is applied.
+========================= */
+async function handleWebhookEvent(payload) {
+  const id = eventId(payload);
+  const ref = eventsRef.doc(id);
+
+  try {
+    await ref.create({
+      event: payload.event,
+      data: payload.data || {},
+      status: "received",
+      attempts: 0,
+      receivedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (err) {
+    // ALREADY_EXISTS: a retry of an event we've seen
+    if (err.code !== 6) throw err;
+  }
+
+  return processEvent(id);
+}
+
+/* =========================
+   RETRY
+   Webhooks are only acknowledged once applied, so Paystack redelivers
+   failures for a while. This catches the rest: failed events, claims
+   whose process died mid-way and events saved but never claimed, up
+   to MAX_ATTEMPTS. The claim transaction keeps it from racing a
+   webhook delivery of the same event.
+========================= */
+async function retryStalledEvents() {
+  const snap = await eventsRef
+    .where("status", "in", ["received", "processing", "failed"])
+    .get();
+
+  const now = Date.now();
+  const due = snap.docs.filter((doc) => {
+    const stored = doc.data();
+    return (stored.attempts || 0) < MAX_ATTEMPTS && isClaimable(stored, now);
+  });
+
+  const counts = { due: due.length, processed: 0, failed: 0 };
+  for (const doc of due) {
+    const result = await processEvent(doc.id);
+    if (result.status === "failed") counts.failed += 1;
+    else if (!result.duplicate) counts.processed += 1;
+  }
+  return counts;
+}
+
+// Re-run a stored event, e.g. one that was unhandled before a new handler
+async function replayEvent(id) {
+  return processEvent(id, { force: true });
+}
+
+module.exports = {
+  eventId,
+  handleWebhookEvent,
+  replayEvent,
+  retryStalledEvents,
+};
@@ -0,0 +1,185 @@
+// lib/preferences.js
+
+const { admin, db } = require("./firebase");
+const { HttpError } = require("./errors");
+
+/* =========================
+   NOTIFICATION PREFERENCES
+   NotificationPreferences/{userId}: category switches, quiet hours in
+   the user's own timezone and muted chat rooms.
+========================= */
+const CATEGORIES = ["job", "chat", "hired", "paid"];
+
+const DEFAULT_TIMEZONE = "Africa/Lagos";
+
+const DEFAULT_PREFERENCES = {
+  categories: { job: true, chat: true, hired: true, paid: true },
+  quietHours: {
+    enabled: false,
+    start: "22:00",
+    end: "07:00",
+    timezone: DEFAULT_TIMEZONE,
+  },
+  mutedRooms: [],
+};
+
+const preferencesRef = db.collection("NotificationPreferences");
+
+function withDefaults(stored = {}) {
+  return {
+    categories: { ...DEFAULT_PREFERENCES.categories, ...stored.categories },
+    quietHours: { ...DEFAULT_PREFERENCES.quietHours, ...stored.quietHours },
+    mutedRooms: stored.mutedRooms || [],
+  };
+}
+
+async function getPreferences(userId) {
+  const snap = await preferencesRef.doc(userId).get();
+  return withDefaults(snap.exists ? snap.data() : {});
+}
+
+// userId -> preferences, in one read for a whole broadcast page
+async function getManyPreferences(userIds) {
+  if (!userIds.length) return new Map();
+  const snaps = await db.getAll(
+    ...userIds.map((userId) => preferencesRef.doc(userId)),
+  );
+  return new Map(
+    snaps.map((snap) => [
+      snap.id,
+      withDefaults(snap.exists ? snap.data() : {}),
+    ]),
+  );
+}
+
+/* =========================
+   VALIDATION
+========================= */
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function invalid(message) {
+  return new HttpError(400, message, "INVALID_PREFERENCES");
+}
+
+function validatePatch(patch) {
+  const update = {};
+
+  if (patch.categories !== undefined) {
+    for (const [category, enabled] of Object.entries(patch.categories)) {
+      if (!CATEGORIES.includes(category)) {
+        throw invalid(`Unknown category ${category}`);
+      }
+      if (typeof enabled !== "boolean") {
+        throw invalid(`Category ${category} must be true or false`);
+      }
+      update[`categories.${category}`] = enabled;
+    }
+  }
+
+  if (patch.quietHours !== undefined) {
+    const { enabled, start, end, timezone } = patch.quietHours;
+    if (enabled !== undefined) {
+      if (typeof enabled !== "boolean") {
+        throw invalid("quietHours.enabled must be true or false");
+      }
+      update["quietHours.enabled"] = enabled;
+    }
+    for (const [field, value] of Object.entries({ start, end })) {
+      if (value === undefined) continue;
+      if (!TIME_PATTERN.test(value)) {
+        throw invalid(`quietHours.${field} must be HH:MM`);
+      }
+      update[`quietHours.${field}`] = value;
+    }
+    if (timezone !== undefined) {
+      if (!isValidTimezone(timezone)) throw invalid("Unknown timezone");
+      update["quietHours.timezone"] = timezone;
+    }
+  }
+
+  return update;
+}
+
+async function updatePreferences(userId, patch) {
+  const update = validatePatch(patch || {});
+  if (Object.keys(update).length) {
+    const ref = preferencesRef.doc(userId);
+    if (!(await ref.get()).exists) await ref.set(withDefaults());
+    await ref.update(update);
+  }
+  return getPreferences(userId);
+}
+
+async function setRoomMuted(userId, roomId, muted) {
+  const FieldValue = admin.firestore.FieldValue;
+  await preferencesRef.doc(userId).set(
+    {
+      mutedRooms: muted
+        ? FieldValue.arrayUnion(roomId)
+        : FieldValue.arrayRemove(roomId),
+    },
+    { merge: true },
+  );
+  return getPreferences(userId);
+}
+
+/* =========================
+   QUIET HOURS
+========================= */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+function localMinutes(timezone, now) {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone: timezone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(new Date(now));
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return get("hour") * 60 + get("minute");
+}
+
+function isQuietTime(preferences, now = Date.now()) {
+  const { enabled, start, end, timezone } = preferences.quietHours;
+  if (!enabled) return false;
+
+  const current = localMinutes(timezone, now);
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+
+  // Windows like 22:00-07:00 wrap past midnight
+  return from <= to
+    ? current >= from && current < to
+    : current >= from || current < to;
+}
+
+// When the current quiet window ends, as a ms timestamp
+function quietHoursEndAt(preferences, now = Date.now()) {
+  const { end, timezone } = preferences.quietHours;
+  const current = localMinutes(timezone, now);
+  const minutesLeft = (toMinutes(end) - current + 24 * 60) % (24 * 60);
+  const startOfMinute = now - (now % (60 * 1000));
+  return startOfMinute + minutesLeft * 60 * 1000;
+}
+
+module.exports = {
+  CATEGORIES,
+  getPreferences,
+  getManyPreferences,
+  updatePreferences,
+  setRoomMuted,
+  isQuietTime,
+  quietHoursEndAt,
+};
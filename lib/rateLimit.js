@@ -0,0 +1,243 @@
+// lib/rateLimit.js
+
+const crypto = require("crypto");
+const { db } = require("./firebase");
+const { HttpError } = require("./errors");
+
+/* =========================
+   RATE LIMITS
+   Token buckets keyed by route name and caller. Each named limit has
+   an optional per-IP and per-user bucket: capacity is the burst,
+   perMinute the refill. RATE_LIMITS (JSON) overrides a name, e.g.
+   {"ai":{"user":{"capacity":10,"perMinute":5}}}.
+   Per-address email cooldowns live in accountEmails on top of these.
+========================= */
+const DEFAULT_RATE_LIMITS = {
+  // One Gemini call per request
+  ai: {
+    ip: { capacity: 20, perMinute: 10 },
+    user: { capacity: 5, perMinute: 2 },
+  },
+  // Every call can send a real email
+  account_email: {
+    ip: { capacity: 5, perMinute: 1 },
+    user: { capacity: 3, perMinute: 1 },
+  },
+  // Pushes to a whole job audience
+  broadcast: {
+    ip: { capacity: 10, perMinute: 2 },
+    user: { capacity: 3, perMinute: 0.5 },
+  },
+  user_push: {
+    ip: { capacity: 60, perMinute: 60 },
+    user: { capacity: 30, perMinute: 30 },
+  },
+};
+
+// A bucket needs room for one token and a refill, or the math below
+// divides by zero
+function isValidBucket(bucket) {
+  return (
+    !!bucket &&
+    Number.isFinite(bucket.capacity) &&
+    bucket.capacity >= 1 &&
+    Number.isFinite(bucket.perMinute) &&
+    bucket.perMinute > 0
+  );
+}
+
+function loadRateLimits(json = process.env.RATE_LIMITS) {
+  const limits = { ...DEFAULT_RATE_LIMITS };
+  if (!json) return limits;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(json);
+  } catch (err) {
+    console.error("❌ Invalid RATE_LIMITS, using defaults:", err.message);
+    return limits;
+  }
+
+  for (const [name, override] of Object.entries(overrides || {})) {
+    // Only the buckets named are replaced; null turns one off
+    const merged = { ...limits[name], ...override };
+    const invalid =
+      override && typeof override === "object"
+        ? ["ip", "user"].filter(
+            (kind) => merged[kind] != null && !isValidBucket(merged[kind]),
+          )
+        : ["not an object"];
+    if (invalid.length) {
+      console.error(
+        `❌ Invalid RATE_LIMITS.${name} (${invalid.join(", ")}), using the default`,
+      );
+      continue;
+    }
+    limits[name] = merged;
+  }
+  return limits;
+}
+
+const RATE_LIMITS = loadRateLimits();
+
+/* =========================
+   BUCKET MATH
+   Shared by both stores: refill for the time since the last take, then
+   take one token or say how long until there is one.
+========================= */
+function refill(bucket, { capacity, perMinute }, now) {
+  if (!bucket) return capacity;
+  const rate = perMinute / 60000;
+  return Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * rate);
+}
+
+function takeToken(bucket, limit, now) {
+  const tokens = refill(bucket, limit, now);
+  if (tokens >= 1) {
+    return {
+      allowed: true,
+      bucket: { tokens: tokens - 1, updatedAt: now },
+      retryAfterMs: 0,
+    };
+  }
+  return {
+    allowed: false,
+    bucket: { tokens, updatedAt: now },
+    retryAfterMs: Math.ceil((1 - tokens) / (limit.perMinute / 60000)),
+  };
+}
+
+// When an untouched bucket is full again and can be forgotten
+function fullAt(bucket, { capacity, perMinute }) {
+  return (
+    bucket.updatedAt +
+    Math.ceil(((capacity - bucket.tokens) / perMinute) * 60000)
+  );
+}
+
+/* =========================
+   STORES
+   take(key, limit) -> { allowed, retryAfterMs }. Memory is per process;
+   Firestore holds across instances at the cost of a transaction per
+   request.
+========================= */
+const SWEEP_MS = 60 * 1000;
+
+function createMemoryStore() {
+  const buckets = new Map();
+
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, { expiresAt }] of buckets) {
+      if (expiresAt <= now) buckets.delete(key);
+    }
+  }, SWEEP_MS);
+  sweeper.unref();
+
+  return {
+    async take(key, limit) {
+      const now = Date.now();
+      const entry = buckets.get(key);
+      const result = takeToken(entry && entry.bucket, limit, now);
+      buckets.set(key, {
+        bucket: result.bucket,
+        expiresAt: fullAt(result.bucket, limit),
+      });
+      return { allowed: result.allowed, retryAfterMs: result.retryAfterMs };
+    },
+  };
+}
+
+// expiresAt is there for a Firestore TTL policy to clean up with
+function createFirestoreStore(collection = "RateLimits") {
+  const ref = db.collection(collection);
+
+  return {
+    async take(key, limit) {
+      // Hashed so the collection isn't a list of IPs and user ids
+      const docRef = ref.doc(
+        crypto.createHash("sha256").update(key).digest("hex"),
+      );
+
+      return db.runTransaction(async (tx) => {
+        const snap = await tx.get(docRef);
+        const now = Date.now();
+        const result = takeToken(snap.exists ? snap.data() : null, limit, now);
+
+        tx.set(docRef, {
+          ...result.bucket,
+          expiresAt: new Date(fullAt(result.bucket, limit)),
+        });
+        return { allowed: result.allowed, retryAfterMs: result.retryAfterMs };
+      });
+    },
+  };
+}
+
+function createStore(kind = process.env.RATE_LIMIT_STORE || "memory") {
+  if (kind === "firestore") return createFirestoreStore();
+  if (kind !== "memory") {
+    console.error(`❌ Unknown RATE_LIMIT_STORE "${kind}", using memory`);
+  }
+  return createMemoryStore();
+}
+
+let defaultStore = null;
+
+function getStore() {
+  if (!defaultStore) defaultStore = createStore();
+  return defaultStore;
+}
+
+/* =========================
+   MIDDLEWARE
+   rateLimit("ai") checks the IP bucket, and the user bucket once
+   requireAuth has set req.user, so mount it after requireAuth on
+   signed-in routes. A store outage lets requests through rather than
+   locking everyone out.
+========================= */
+function rateLimit(name, { store } = {}) {
+  const limits = RATE_LIMITS[name];
+  if (!limits) throw new Error(`Unknown rate limit "${name}"`);
+
+  return async (req, res, next) => {
+    const checks = [];
+    if (limits.ip) checks.push([`${name}:ip:${req.ip}`, limits.ip]);
+    if (limits.user && req.user) {
+      checks.push([`${name}:user:${req.user.uid}`, limits.user]);
+    }
+
+    let retryAfterMs = 0;
+    try {
+      const bucketStore = store || getStore();
+      for (const [key, limit] of checks) {
+        const result = await bucketStore.take(key, limit);
+        if (!result.allowed) {
+          retryAfterMs = Math.max(retryAfterMs, result.retryAfterMs);
+        }
+      }
+    } catch (err) {
+      console.error(`❌ Rate limit ${name} check failed:`, err.message);
+      return next();
+    }
+
+    if (!retryAfterMs) return next();
+
+    const err = new HttpError(
+      429,
+      "Too many requests, try again later",
+      "RATE_LIMITED",
+      { retryAfter: Math.max(Math.ceil(retryAfterMs / 1000), 1) },
+    );
+    err.retryAfter = err.details.retryAfter;
+    next(err);
+  };
+}
+
+module.exports = {
+  RATE_LIMITS,
+  loadRateLimits,
+  createMemoryStore,
+  createFirestoreStore,
+  rateLimit,
+};
@@ -0,0 +1,354 @@
+// lib/reconciliation.js
+
+const { admin, db } = require("./firebase");
+const { HttpError } = require("./errors");
+const { paystackGet, toKobo } = require("./paystack");
+
+/* =========================
+   PAYSTACK RECONCILIATION
+   Pages through Paystack's transfers and transactions for a date
+   range and matches them by reference against our withdrawals, fee
+   sweeps and top-ups. Every disagreement becomes an issue on a report
+   in ReconciliationReports.
+========================= */
+const PAGE_SIZE = 100;
+const MAX_PAGES = 50;
+const MAX_STORED_ISSUES = 500;
+
+// Paystack may time-stamp a transfer a little after we recorded it
+const REMOTE_SLACK_MS = 60 * 60 * 1000;
+
+// A local record still pending after this is reported as stuck
+const STUCK_PENDING_MS =
+  Number(process.env.RECONCILE_STUCK_PENDING_HOURS || 24) * 60 * 60 * 1000;
+
+const ISSUE_TYPES = {
+  MISSING_LOCAL: "missing_local",
+  MISSING_REMOTE: "missing_remote",
+  AMOUNT_MISMATCH: "amount_mismatch",
+  STATUS_MISMATCH: "status_mismatch",
+  STUCK_PENDING: "stuck_pending",
+};
+
+const reportsRef = db.collection("ReconciliationReports");
+const transactionsRef = db.collection("transactions");
+const sweepsRef = db.collection("FeeSweeps");
+
+/* =========================
+   REMOTE
+========================= */
+async function listAll(path, from, to) {
+  const items = [];
+  for (let page = 1; page <= MAX_PAGES; page++) {
+    const res = await paystackGet(path, {
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      perPage: PAGE_SIZE,
+      page,
+    });
+    items.push(...res.data);
+
+    const pageCount = res.meta ? res.meta.pageCount : 1;
+    if (page >= pageCount || res.data.length < PAGE_SIZE) break;
+  }
+  return items;
+}
+
+/* =========================
+   LOCAL
+   Paystack amounts are kobo; ours are Naira, so compare in kobo.
+========================= */
+function fromTransaction(doc) {
+  const txn = doc.data();
+  const reference = txn.reference || doc.id;
+  const base = { reference, status: txn.status, requestedAt: txn.requestedAt };
+
+  if (txn.type === "debit") {
+    // Only the net leaves Paystack; older records have no net
+    const amount = txn.net != null ? txn.net : txn.amount;
+    return {
+      ...base,
+      channel: "transfer",
+      kind: "withdrawal",
+      amount: toKobo(amount),
+    };
+  }
+  if (txn.type === "credit" && reference.startsWith("tu_")) {
+    return {
+      ...base,
+      channel: "transaction",
+      kind: "topup",
+      amount: toKobo(txn.amount),
+    };
+  }
+  // Fee charges are internal ledger moves with nothing at Paystack
+  return null;
+}
+
+function fromSweep(doc) {
+  const sweep = doc.data();
+  return {
+    channel: "transfer",
+    kind: "fee_sweep",
+    reference: sweep.reference || doc.id,
+    amount: toKobo(sweep.amount),
+    status: sweep.status,
+    requestedAt: sweep.requestedAt,
+  };
+}
+
+function inRange(ref, from, to) {
+  return ref.where("requestedAt", ">=", from).where("requestedAt", "<=", to);
+}
+
+async function loadLocal(from, to) {
+  const [txnSnap, sweepSnap] = await Promise.all([
+    inRange(transactionsRef, from, to).get(),
+    inRange(sweepsRef, from, to).get(),
+  ]);
+
+  return [
+    ...txnSnap.docs.map(fromTransaction),
+    ...sweepSnap.docs.map(fromSweep),
+  ].filter(Boolean);
+}
+
+// Firestore caps "in" filters at 30 values
+const IN_QUERY_LIMIT = 30;
+
+async function findByReference(ref, references) {
+  const snaps = [];
+  for (let i = 0; i < references.length; i += IN_QUERY_LIMIT) {
+    const chunk = references.slice(i, i + IN_QUERY_LIMIT);
+    snaps.push(await ref.where("reference", "in", chunk).get());
+  }
+  return snaps.flatMap((snap) => snap.docs);
+}
+
+// A remote item near the edge of the range can belong to a local record
+// just outside it, so look those up before calling them missing. By
+// field, not doc id: older withdrawals have generated ids, and a
+// reference from Paystack may hold characters an id can't
+async function loadByReference(references) {
+  if (!references.length) return [];
+
+  const [txnDocs, sweepDocs] = await Promise.all([
+    findByReference(transactionsRef, references),
+    findByReference(sweepsRef, references),
+  ]);
+
+  return [...txnDocs.map(fromTransaction), ...sweepDocs.map(fromSweep)].filter(
+    Boolean,
+  );
+}
+
+/* =========================
+   COMPARE
+   No I/O here, so fixtures can be checked without Firestore.
+========================= */
+// Paystack status -> the local status it should have settled into
+const SETTLED_STATUS = {
+  success: "success",
+  failed: "failed",
+  reversed: "reversed",
+  abandoned: "failed",
+};
+
+function compareChannel(channel, remoteItems, localItems, now) {
+  const issues = [];
+  const local = new Map(localItems.map((item) => [item.reference, item]));
+  const seen = new Set();
+
+  for (const remote of remoteItems) {
+    const { reference } = remote;
+    const mine = local.get(reference);
+    seen.add(reference);
+
+    if (!mine) {
+      issues.push({
+        type: ISSUE_TYPES.MISSING_LOCAL,
+        channel,
+        reference,
+        remoteAmount: Number(remote.amount),
+        remoteStatus: remote.status,
+      });
+      continue;
+    }
+
+    if (Number(remote.amount) !== mine.amount) {
+      issues.push({
+        type: ISSUE_TYPES.AMOUNT_MISMATCH,
+        channel,
+        kind: mine.kind,
+        reference,
+        localAmount: mine.amount,
+        remoteAmount: Number(remote.amount),
+      });
+    }
+
+    // No expected status means Paystack is still processing it
+    const expected = SETTLED_STATUS[remote.status];
+    if (expected && mine.status !== expected) {
+      issues.push({
+        type: ISSUE_TYPES.STATUS_MISMATCH,
+        channel,
+        kind: mine.kind,
+        reference,
+        localStatus: mine.status,
+        remoteStatus: remote.status,
+      });
+    }
+  }
+
+  for (const mine of localItems) {
+    const stuck =
+      channel === "transfer" &&
+      mine.status === "pending" &&
+      mine.requestedAt &&
+      now - mine.requestedAt > STUCK_PENDING_MS;
+    if (stuck) {
+      issues.push({
+        type: ISSUE_TYPES.STUCK_PENDING,
+        channel,
+        kind: mine.kind,
+        reference: mine.reference,
+        requestedAt: mine.requestedAt,
+      });
+    }
+
+    if (seen.has(mine.reference)) continue;
+    // Rejected transfers and unpaid top-ups never show up at Paystack
+    if (mine.status === "failed") continue;
+    if (channel === "transaction" && mine.status === "pending") continue;
+
+    issues.push({
+      type: ISSUE_TYPES.MISSING_REMOTE,
+      channel,
+      kind: mine.kind,
+      reference: mine.reference,
+      localAmount: mine.amount,
+      localStatus: mine.status,
+    });
+  }
+
+  return issues;
+}
+
+// remote: { transfer: [...], transaction: [...] } as Paystack lists them;
+// local: records from loadLocal/loadByReference
+function compareRecords({ remote, local }, now = Date.now()) {
+  return ["transfer", "transaction"].flatMap((channel) =>
+    compareChannel(
+      channel,
+      remote[channel] || [],
+      local.filter((item) => item.channel === channel),
+      now,
+    ),
+  );
+}
+
+function countByType(issues) {
+  const counts = {};
+  for (const issue of issues) {
+    counts[issue.type] = (counts[issue.type] || 0) + 1;
+  }
+  return counts;
+}
+
+/* =========================
+   RUN
+========================= */
+async function reconcile({ from, to, triggeredBy = "schedule" } = {}) {
+  to = to == null ? Date.now() : Number(to);
+  from = from == null ? to - 2 * 24 * 60 * 60 * 1000 : Number(from);
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from >= to) {
+    throw new HttpError(400, "from must be before to", "INVALID_RANGE");
+  }
+
+  const startedAt = Date.now();
+  const [transfers, transactions, inRangeLocal] = await Promise.all([
+    listAll("/transfer", from, to + REMOTE_SLACK_MS),
+    listAll("/transaction", from, to + REMOTE_SLACK_MS),
+    loadLocal(from, to),
+  ]);
+
+  const known = new Set(inRangeLocal.map((item) => item.reference));
+  const unknown = [...transfers, ...transactions]
+    .map((item) => item.reference)
+    .filter((reference) => reference && !known.has(reference));
+  const local = [...inRangeLocal, ...(await loadByReference(unknown))];
+
+  const issues = compareRecords(
+    { remote: { transfer: transfers, transaction: transactions }, local },
+    startedAt,
+  );
+
+  const report = {
+    from,
+    to,
+    triggeredBy,
+    startedAt,
+    finishedAt: Date.now(),
+    counts: {
+      remoteTransfers: transfers.length,
+      remoteTransactions: transactions.length,
+      local: local.length,
+    },
+    issueCount: issues.length,
+    issueCounts: countByType(issues),
+    issues: issues.slice(0, MAX_STORED_ISSUES),
+    issuesTruncated: issues.length > MAX_STORED_ISSUES,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+
+  const ref = await reportsRef.add(report);
+  if (issues.length) {
+    console.error(
+      `❌ Reconciliation ${ref.id} found ${issues.length} issues`,
+      report.issueCounts,
+    );
+  }
+
+  return {
+    reportId: ref.id,
+    issueCount: report.issueCount,
+    issueCounts: report.issueCounts,
+  };
+}
+
+/* =========================
+   REPORTS (admin)
+========================= */
+async function getReport(reportId) {
+  const snap = await reportsRef.doc(reportId).get();
+  if (!snap.exists) {
+    throw new HttpError(404, "Report not found", "REPORT_NOT_FOUND");
+  }
+  return { id: snap.id, ...snap.data() };
+}
+
+// Summaries only; fetch a report by id for its issues
+async function listReports({ limit } = {}) {
+  const snap = await reportsRef
+    .orderBy("startedAt", "desc")
+    .limit(Math.min(Number(limit) || 20, 100))
+    .select(
+      "from",
+      "to",
+      "triggeredBy",
+      "startedAt",
+      "finishedAt",
+      "issueCount",
+      "issueCounts",
+    )
+    .get();
+  return snap.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+}
+
+module.exports = {
+  ISSUE_TYPES,
+  compareRecords,
+  reconcile,
+  getReport,
+  listReports,
+};
@@ -0,0 +1,306 @@
+// lib/scheduler.js
+
+const crypto = require("crypto");
+const { admin, db } = require("./firebase");
+const { HttpError } = require("./errors");
+
+/* =========================
+   SCHEDULER
+   Named jobs on cron-like schedules. Every instance ticks, but a job
+   only runs where its Firestore lease was taken, so it runs once across
+   the fleet. nextRunAt lives in Firestore too: a job that came due
+   while the server was down runs on the first tick after it's back.
+========================= */
+const TICK_MS = 15 * 1000;
+const DEFAULT_LEASE_MS = 5 * 60 * 1000;
+
+// Runs carry an expiresAt for a Firestore TTL policy to clean up with
+const RUN_RETENTION_MS =
+  Number(process.env.SCHEDULER_RUN_RETENTION_DAYS || 30) * 24 * 60 * 60 * 1000;
+
+const INSTANCE_ID =
+  process.env.INSTANCE_ID || crypto.randomBytes(6).toString("hex");
+
+const jobsRef = db.collection("ScheduledJobs");
+
+function runsRef(name) {
+  return jobsRef.doc(name).collection("Runs");
+}
+
+const jobs = new Map();
+let ticker = null;
+
+/* =========================
+   SCHEDULES
+   "m h dom mon dow" cron in server time: numbers, "*", ranges "a-b",
+   steps "a-b/n" or "*" with "/n", and comma lists. Or "@every 30s",
+   "@every 5m", "@every 1h" for fixed intervals.
+========================= */
+const CRON_FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12 },
+  { min: 0, max: 6 },
+];
+
+function invalidSchedule(schedule) {
+  return new Error(`Invalid schedule "${schedule}"`);
+}
+
+function parseCronField(text, { min, max }, schedule) {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+
+    let from = min;
+    let to = max;
+    if (range !== "*") {
+      [from, to] = range.split("-").map(Number);
+      if (to === undefined) to = stepText === undefined ? from : max;
+    }
+
+    if (
+      ![from, to, step].every(Number.isInteger) ||
+      step < 1 ||
+      from < min ||
+      to > max ||
+      from > to
+    ) {
+      throw invalidSchedule(schedule);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+const EVERY_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+function parseSchedule(schedule) {
+  const every = /^@every\s+(\d+)([smh])$/.exec(schedule.trim());
+  if (every) {
+    return { everyMs: Number(every[1]) * EVERY_UNITS[every[2]] };
+  }
+
+  const parts = schedule.trim().split(/\s+/);
+  if (parts.length !== 5) throw invalidSchedule(schedule);
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) =>
+    parseCronField(part, CRON_FIELDS[i], schedule),
+  );
+  return { minutes, hours, days, months, weekdays };
+}
+
+// The first time strictly after `from` the schedule fires
+function nextRunAfter(parsed, from) {
+  if (parsed.everyMs) return from + parsed.everyMs;
+
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  // A year of minutes covers every valid schedule
+  for (let i = 0; i < 366 * 24 * 60; i++) {
+    if (
+      parsed.minutes.has(date.getMinutes()) &&
+      parsed.hours.has(date.getHours()) &&
+      parsed.days.has(date.getDate()) &&
+      parsed.months.has(date.getMonth() + 1) &&
+      parsed.weekdays.has(date.getDay())
+    ) {
+      return date.getTime();
+    }
+    date.setMinutes(date.getMinutes() + 1);
+  }
+  throw new Error("Schedule never fires");
+}
+
+/* =========================
+   JOBS
+========================= */
+function defineJob(name, schedule, handler, { leaseMs } = {}) {
+  jobs.set(name, {
+    name,
+    schedule,
+    parsed: parseSchedule(schedule),
+    handler,
+    leaseMs: leaseMs || DEFAULT_LEASE_MS,
+    // Unknown until Firestore says otherwise, so the first tick checks
+    nextRunAt: 0,
+  });
+}
+
+function getJobDefinition(name) {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new HttpError(404, `Unknown job ${name}`, "JOB_NOT_FOUND");
+  }
+  return job;
+}
+
+// Takes the lease, or returns null if the job isn't due or is running
+async function acquireLease(job, { force = false } = {}) {
+  const ref = jobsRef.doc(job.name);
+  const now = Date.now();
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const state = snap.exists ? snap.data() : {};
+
+    if (!force && state.nextRunAt != null && state.nextRunAt > now) {
+      job.nextRunAt = state.nextRunAt;
+      return null;
+    }
+    if (state.lease && state.lease.until > now) {
+      return null;
+    }
+
+    const update = {
+      name: job.name,
+      schedule: job.schedule,
+      lease: { owner: INSTANCE_ID, until: now + job.leaseMs },
+    };
+    // Manual runs leave the schedule alone
+    if (!force) update.nextRunAt = nextRunAfter(job.parsed, now);
+
+    tx.set(ref, update, { merge: true });
+    if (update.nextRunAt) job.nextRunAt = update.nextRunAt;
+    return update.lease;
+  });
+}
+
+async function releaseLease(job, lastRun) {
+  const ref = jobsRef.doc(job.name);
+
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const lease = snap.exists ? snap.data().lease : null;
+
+    const update = { lastRun };
+    // Someone else may hold it by now if we overran the lease
+    if (lease && lease.owner === INSTANCE_ID) {
+      update.lease = admin.firestore.FieldValue.delete();
+    }
+    tx.update(ref, update);
+  });
+}
+
+async function execute(job, trigger) {
+  const startedAt = Date.now();
+  const run = {
+    job: job.name,
+    trigger,
+    instanceId: INSTANCE_ID,
+    startedAt,
+  };
+
+  try {
+    const result = await job.handler();
+    Object.assign(run, { outcome: "success", result: result || null });
+  } catch (err) {
+    console.error(`❌ Job ${job.name} failed:`, err);
+    Object.assign(run, { outcome: "failed", error: err.message });
+  }
+
+  run.finishedAt = Date.now();
+  run.durationMs = run.finishedAt - startedAt;
+
+  // The lease goes back even if the run can't be recorded, or the job
+  // would sit out the rest of its lease
+  let runId = null;
+  try {
+    const runRef = await runsRef(job.name).add({
+      ...run,
+      expiresAt: new Date(startedAt + RUN_RETENTION_MS),
+    });
+    runId = runRef.id;
+  } finally {
+    await releaseLease(job, { ...run, runId });
+  }
+  return { runId, ...run };
+}
+
+/* =========================
+   TICK
+   Due jobs start side by side, so a slow one never holds up the rest.
+========================= */
+async function runScheduled(job) {
+  job.running = true;
+  try {
+    const lease = await acquireLease(job);
+    if (lease) await execute(job, "schedule");
+  } catch (err) {
+    console.error(`❌ Scheduling ${job.name} failed:`, err);
+  } finally {
+    job.running = false;
+  }
+}
+
+function tick() {
+  const now = Date.now();
+  for (const job of jobs.values()) {
+    // running: this instance is still on the previous run
+    if (job.running || job.nextRunAt > now) continue;
+    runScheduled(job);
+  }
+}
+
+function start() {
+  if (ticker) return;
+  ticker = setInterval(tick, TICK_MS);
+  tick();
+  console.log(`⏰ Scheduler started with ${jobs.size} jobs (${INSTANCE_ID})`);
+}
+
+/* =========================
+   ADMIN
+========================= */
+async function runNow(name, { triggeredBy } = {}) {
+  const job = getJobDefinition(name);
+
+  const lease = await acquireLease(job, { force: true });
+  if (!lease) {
+    throw new HttpError(409, `Job ${name} is already running`, "JOB_RUNNING");
+  }
+  return execute(job, `manual:${triggeredBy || "unknown"}`);
+}
+
+async function listJobs() {
+  const defined = [...jobs.values()];
+  const snaps = await Promise.all(
+    defined.map((job) => jobsRef.doc(job.name).get()),
+  );
+
+  return snaps.map((snap, i) => {
+    const job = defined[i];
+    const state = snap.exists ? snap.data() : {};
+    return {
+      name: job.name,
+      schedule: job.schedule,
+      nextRunAt: state.nextRunAt || null,
+      running: !!(state.lease && state.lease.until > Date.now()),
+      lastRun: state.lastRun || null,
+    };
+  });
+}
+
+async function listRuns(name, { limit } = {}) {
+  getJobDefinition(name);
+
+  const snap = await runsRef(name)
+    .orderBy("startedAt", "desc")
+    .limit(Math.min(Number(limit) || 20, 100))
+    .get();
+  return snap.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+}
+
+module.exports = {
+  parseSchedule,
+  nextRunAfter,
+  defineJob,
+  start,
+  runNow,
+  listJobs,
+  listRuns,
+};
@@ -0,0 +1,138 @@
+// lib/topups.js
+
+const crypto = require("crypto");
+const { admin, db } = require("./firebase");
+const { HttpError } = require("./errors");
+const { paystackPost, paystackGet, toKobo } = require("./paystack");
+const ledger = require("./ledger");
+
+const TOPUP_MIN_AMOUNT = Number(process.env.TOPUP_MIN_AMOUNT || 100);
+const TOPUP_CALLBACK_URL = process.env.TOPUP_CALLBACK_URL;
+
+const transactionsRef = db.collection("transactions");
+
+/* =========================
+   INITIALIZE CHECKOUT
+========================= */
+async function initializeTopUp({ userId, amount, email }) {
+  amount = Number(amount);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new HttpError(400, "Amount must be positive", "INVALID_AMOUNT");
+  }
+  if (amount < TOPUP_MIN_AMOUNT) {
+    throw new HttpError(
+      400,
+      `Minimum top-up is ${TOPUP_MIN_AMOUNT}`,
+      "AMOUNT_TOO_SMALL",
+    );
+  }
+
+  if (!email) {
+    const user = await admin.auth().getUser(userId);
+    email = user.email;
+  }
+  if (!email) {
+    throw new HttpError(400, "Email is required", "MISSING_FIELDS");
+  }
+
+  const reference = `tu_${crypto.randomUUID().replace(/-/g, "")}`;
+
+  await transactionsRef.doc(reference).set({
+    userId,
+    type: "credit",
+    amount,
+    reference,
+    status: "pending",
+    reason: "Wallet top-up",
+    requestedAt: Date.now(),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  const initRes = await paystackPost("/transaction/initialize", {
+    email,
+    amount: toKobo(amount),
+    reference,
+    currency: "NGN",
+    ...(TOPUP_CALLBACK_URL && { callback_url: TOPUP_CALLBACK_URL }),
+    metadata: { userId, purpose: "wallet_topup" },
+  });
+
+  return {
+    reference,
+    authorizationUrl: initRes.data.authorization_url,
+    accessCode: initRes.data.access_code,
+  };
+}
+
+/* =========================
+   CREDIT
+   Shared by the verify route and charge.success. The ledger entry is
+   keyed by reference, so a reference can only ever credit once.
+========================= */
+async function creditTopUp(reference, charge) {
+  const ref = transactionsRef.doc(reference);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    // Not one of our top-ups (e.g. a charge started elsewhere)
+    if (!snap.exists || snap.data().type !== "credit") return null;
+
+    const txn = snap.data();
+    if (txn.status !== "pending") return txn;
+
+    if (
+      charge.amount !== toKobo(txn.amount) ||
+      (charge.currency && charge.currency !== "NGN")
+    ) {
+      console.error(`❌ Top-up ${reference} amount mismatch`, charge.amount);
+      tx.update(ref, {
+        status: "amount_mismatch",
+        paidAmount: charge.amount / 100,
+      });
+      return { ...txn, status: "amount_mismatch" };
+    }
+
+    tx.update(ref, {
+      status: "success",
+      completedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    ledger.post(tx, {
+      id: `topup-${reference}`,
+      type: ledger.ENTRY_TYPES.TOPUP,
+      memo: "Wallet top-up",
+      reference,
+      lines: [
+        { account: ledger.ACCOUNTS.DEPOSITS, amount: -txn.amount },
+        { account: ledger.ACCOUNTS.user(txn.userId), amount: txn.amount },
+      ],
+    });
+
+    return { ...txn, status: "success" };
+  });
+}
+
+/* =========================
+   VERIFY
+========================= */
+async function verifyTopUp(reference, userId) {
+  const snap = await transactionsRef.doc(reference).get();
+  if (!snap.exists || snap.data().type !== "credit") {
+    throw new HttpError(404, "Top-up not found", "TOPUP_NOT_FOUND");
+  }
+  if (userId && snap.data().userId !== userId) {
+    throw new HttpError(403, "Not allowed on this top-up", "FORBIDDEN");
+  }
+
+  const verifyRes = await paystackGet(
+    `/transaction/verify/${encodeURIComponent(reference)}`,
+  );
+
+  if (verifyRes.data.status !== "success") {
+    return { reference, status: verifyRes.data.status };
+  }
+
+  const txn = await creditTopUp(reference, verifyRes.data);
+  return { reference, status: txn.status, amount: txn.amount };
+}
+
+module.exports = { initializeTopUp, creditTopUp, verifyTopUp };
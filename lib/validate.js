@@ -0,0 +1,128 @@
+// lib/validate.js
+
+const { HttpError } = require("./errors");
+
+/* =========================
+   REQUEST SCHEMAS
+   A schema maps each body field to a rule:
+
+     { amount: { type: "integer", min: 1, required: true },
+       note: { type: "string", maxLength: 500 } }
+
+   Types: string, email, integer, number, boolean, array, object.
+   Optional rules: required, min/max (numbers), minLength/maxLength
+   (strings), pattern, enum, maxItems and items (a rule for each array
+   entry). Numbers must be JSON numbers; "500" is not an amount.
+========================= */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  email: (value) => typeof value === "string" && EMAIL_PATTERN.test(value),
+  integer: (value) => Number.isInteger(value),
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  boolean: (value) => typeof value === "boolean",
+  array: (value) => Array.isArray(value),
+  object: (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value),
+};
+
+const TYPE_NAMES = {
+  string: "a string",
+  email: "an email address",
+  integer: "a whole number",
+  number: "a number",
+  boolean: "true or false",
+  array: "a list",
+  object: "an object",
+};
+
+// The reason value breaks rule, or null if it doesn't
+function checkValue(value, rule) {
+  if (!TYPE_CHECKS[rule.type](value)) return `must be ${TYPE_NAMES[rule.type]}`;
+
+  if (rule.min != null && value < rule.min)
+    return `must be at least ${rule.min}`;
+  if (rule.max != null && value > rule.max)
+    return `must be at most ${rule.max}`;
+  if (rule.minLength != null && value.length < rule.minLength) {
+    return `must be at least ${rule.minLength} characters`;
+  }
+  if (rule.maxLength != null && value.length > rule.maxLength) {
+    return `must be at most ${rule.maxLength} characters`;
+  }
+  if (rule.pattern && !rule.pattern.test(value)) return "has the wrong format";
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `must be one of ${rule.enum.join(", ")}`;
+  }
+  if (rule.maxItems != null && value.length > rule.maxItems) {
+    return `must have at most ${rule.maxItems} entries`;
+  }
+  return null;
+}
+
+function checkField(field, value, rule, problems) {
+  const blank = typeof value === "string" && !value.trim();
+  if (value === undefined || value === null || blank) {
+    if (rule.required) problems.push({ field, message: "is required" });
+    return;
+  }
+
+  const message = checkValue(value, rule);
+  if (message) {
+    problems.push({ field, message });
+    return;
+  }
+
+  if (rule.type === "array" && rule.items) {
+    value.forEach((item, i) =>
+      checkField(
+        `${field}[${i}]`,
+        item,
+        { required: true, ...rule.items },
+        problems,
+      ),
+    );
+  }
+}
+
+// Returns the body with only the schema's fields, or throws a 400
+// whose details list every field that failed
+function validate(schema, body) {
+  const input = body && typeof body === "object" ? body : {};
+  const problems = [];
+  const cleaned = {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    checkField(field, input[field], rule, problems);
+    if (input[field] !== undefined) cleaned[field] = input[field];
+  }
+
+  if (problems.length) {
+    throw new HttpError(
+      400,
+      `Invalid request: ${problems.map((p) => `${p.field} ${p.message}`).join("; ")}`,
+      "VALIDATION_FAILED",
+      { fields: problems },
+    );
+  }
+  return cleaned;
+}
+
+/* =========================
+   MIDDLEWARE
+   Replaces req.body with the checked fields, so handlers never see
+   anything the schema didn't name.
+========================= */
+function validateBody(schema) {
+  return (req, res, next) => {
+    try {
+      req.body = validate(schema, req.body);
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+module.exports = { validate, validateBody };
@@ -0,0 +1,323 @@
+// lib/withdrawals.js
+
+const crypto = require("crypto");
+const { admin, db } = require("./firebase");
+const { HttpError } = require("./errors");
+const { paystackPost, toKobo } = require("./paystack");
+const ledger = require("./ledger");
+const { FEE_TYPES, computeFee } = require("./fees");
+const bankAccounts = require("./bankAccounts");
+const notifications = require("./notifications");
+
+/* =========================
+   WITHDRAWAL CONFIG (Naira)
+========================= */
+const WITHDRAW_MIN_AMOUNT = Number(process.env.WITHDRAW_MIN_AMOUNT || 500);
+const WITHDRAW_DAILY_LIMIT = Number(process.env.WITHDRAW_DAILY_LIMIT || 200000);
+
+// The daily limit resets at midnight here, wherever the server runs
+function loadDayTimezone() {
+  const timezone = process.env.WITHDRAW_DAY_TIMEZONE || "Africa/Lagos";
+  try {
+    new Intl.DateTimeFormat("en-GB", { timeZone: timezone });
+    return timezone;
+  } catch (err) {
+    console.error(
+      `❌ Invalid WITHDRAW_DAY_TIMEZONE "${timezone}", using Africa/Lagos`,
+    );
+    return "Africa/Lagos";
+  }
+}
+
+const WITHDRAW_DAY_TIMEZONE = loadDayTimezone();
+
+// Withdrawals whose money came back don't count toward the daily limit
+const RETURNED_STATUSES = ["failed", "reversed"];
+
+const transactionsRef = db.collection("transactions");
+
+function round2(amount) {
+  return ledger.toMinor(amount) / 100;
+}
+
+function withdrawalBreakdown(amount) {
+  const { fee } = computeFee(FEE_TYPES.WITHDRAWAL, amount);
+  return { amount: round2(amount), fee, net: round2(amount - fee) };
+}
+
+// New withdrawals use the reference as the doc id; older ones don't
+async function findTransactionRef(reference) {
+  const ref = transactionsRef.doc(reference);
+  if ((await ref.get()).exists) return ref;
+
+  const snap = await transactionsRef
+    .where("reference", "==", reference)
+    .limit(1)
+    .get();
+  return snap.empty ? null : snap.docs[0].ref;
+}
+
+// Local midnight in timezone as a ms timestamp: now less the wall-clock
+// time since midnight there
+function startOfDay(now = Date.now(), timezone = WITHDRAW_DAY_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone: timezone,
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(new Date(now));
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+
+  const sinceMidnight =
+    ((get("hour") * 60 + get("minute")) * 60 + get("second")) * 1000 +
+    (now % 1000);
+  return now - sinceMidnight;
+}
+
+/* =========================
+   HOLD
+   Checks limits and available balance, then moves the amount from the
+   user's wallet into their hold account before Paystack is called.
+========================= */
+async function placeHold(userId, breakdown, reference, bankAccountId) {
+  const { amount, fee, net } = breakdown;
+
+  await db.runTransaction(async (tx) => {
+    const balance = await ledger.readUserBalance(tx, userId);
+
+    const todaySnap = await tx.get(
+      transactionsRef
+        .where("userId", "==", userId)
+        .where("requestedAt", ">=", startOfDay()),
+    );
+    let withdrawnToday = 0;
+    todaySnap.forEach((doc) => {
+      const txn = doc.data();
+      if (txn.type === "debit" && !RETURNED_STATUSES.includes(txn.status)) {
+        withdrawnToday += txn.amount;
+      }
+    });
+
+    if (withdrawnToday + amount > WITHDRAW_DAILY_LIMIT) {
+      throw new HttpError(
+        400,
+        `Daily withdrawal limit of ${WITHDRAW_DAILY_LIMIT} exceeded`,
+        "DAILY_LIMIT_EXCEEDED",
+      );
+    }
+    if (balance < amount) {
+      throw new HttpError(400, "Insufficient balance", "INSUFFICIENT_FUNDS");
+    }
+
+    tx.set(transactionsRef.doc(reference), {
+      userId,
+      type: "debit",
+      amount,
+      fee,
+      net,
+      reference,
+      feeReference: `withdraw-fee-${reference}`,
+      bankAccountId,
+      held: true,
+      status: "pending",
+      reason: "Wallet withdrawal",
+      requestedAt: Date.now(),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    ledger.post(tx, {
+      id: `withdraw-hold-${reference}`,
+      type: ledger.ENTRY_TYPES.WITHDRAWAL_HOLD,
+      memo: "Wallet withdrawal",
+      reference,
+      lines: [
+        { account: ledger.ACCOUNTS.user(userId), amount: -amount },
+        { account: ledger.ACCOUNTS.hold(userId), amount },
+      ],
+    });
+  });
+}
+
+/* =========================
+   RELEASE HOLD (transfer never went out)
+========================= */
+async function releaseHold(reference, status, reason) {
+  const ref = await findTransactionRef(reference);
+  if (!ref) return null;
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+
+    const txn = snap.data();
+    if (txn.status !== "pending") return txn;
+
+    tx.update(ref, {
+      status,
+      failureReason: reason || null,
+      completedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    if (txn.held) {
+      ledger.post(tx, {
+        id: `withdraw-release-${reference}`,
+        type: ledger.ENTRY_TYPES.WITHDRAWAL_RELEASE,
+        memo: "Withdrawal hold released",
+        reference,
+        lines: [
+          { account: ledger.ACCOUNTS.hold(txn.userId), amount: -txn.amount },
+          { account: ledger.ACCOUNTS.user(txn.userId), amount: txn.amount },
+        ],
+      });
+    }
+
+    return { ...txn, status };
+  });
+}
+
+/* =========================
+   SETTLE (transfer.success)
+   Splits the hold into the payout and the fee.
+========================= */
+async function settleWithdrawal(reference) {
+  const ref = await findTransactionRef(reference);
+  if (!ref) return null;
+
+  const result = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+
+    const txn = snap.data();
+    if (txn.status !== "pending") return { txn, settled: false };
+
+    tx.update(ref, {
+      status: "success",
+      completedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    if (txn.held) {
+      ledger.post(tx, {
+        id: `withdraw-settle-${reference}`,
+        type: ledger.ENTRY_TYPES.WITHDRAWAL,
+        memo: "Wallet withdrawal",
+        reference,
+        meta: { feeReference: txn.feeReference },
+        lines: [
+          { account: ledger.ACCOUNTS.hold(txn.userId), amount: -txn.amount },
+          { account: ledger.ACCOUNTS.PAYOUTS, amount: txn.net },
+          { account: ledger.ACCOUNTS.FEES, amount: txn.fee },
+        ],
+      });
+    }
+
+    return { txn: { ...txn, status: "success" }, settled: true };
+  });
+
+  if (result.settled) {
+    notifications
+      .notifyUser(result.txn.userId, "withdrawal_completed", {
+        net: result.txn.net || result.txn.amount,
+        reference,
+      })
+      .catch((err) => console.error("❌ Withdrawal notification failed:", err));
+  }
+
+  return result.txn;
+}
+
+/* =========================
+   REVERSE (transfer.reversed)
+   A pending transfer just frees its hold. One that already settled
+   is taken back out of payouts and fees and returned to the user.
+========================= */
+async function reverseWithdrawal(reference, reason) {
+  const ref = await findTransactionRef(reference);
+  if (!ref) return null;
+
+  const current = (await ref.get()).data();
+  if (current.status === "pending") {
+    return releaseHold(reference, "reversed", reason);
+  }
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+
+    const txn = snap.data();
+    if (txn.status !== "success") return txn;
+
+    tx.update(ref, {
+      status: "reversed",
+      failureReason: reason || null,
+      reversedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    if (txn.held) {
+      ledger.post(tx, {
+        id: `withdraw-reverse-${reference}`,
+        type: ledger.ENTRY_TYPES.WITHDRAWAL_REVERSAL,
+        memo: "Withdrawal reversed",
+        reference,
+        lines: [
+          { account: ledger.ACCOUNTS.PAYOUTS, amount: -txn.net },
+          { account: ledger.ACCOUNTS.FEES, amount: -txn.fee },
+          { account: ledger.ACCOUNTS.user(txn.userId), amount: txn.amount },
+        ],
+      });
+    }
+
+    return { ...txn, status: "reversed" };
+  });
+}
+
+/* =========================
+   WITHDRAW
+========================= */
+async function withdraw({ userId, amount, bankAccountId }) {
+  amount = Number(amount);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new HttpError(400, "Amount must be positive", "INVALID_AMOUNT");
+  }
+  if (amount < WITHDRAW_MIN_AMOUNT) {
+    throw new HttpError(
+      400,
+      `Minimum withdrawal is ${WITHDRAW_MIN_AMOUNT}`,
+      "AMOUNT_TOO_SMALL",
+    );
+  }
+
+  // Payouts only go to a saved, name-checked account
+  const account = await bankAccounts.getAccount(userId, bankAccountId);
+
+  const breakdown = withdrawalBreakdown(amount);
+  const reference = `wd_${crypto.randomUUID().replace(/-/g, "")}`;
+
+  await placeHold(userId, breakdown, reference, bankAccountId);
+
+  try {
+    // ✅ User withdrawal transfer (net of fee)
+    await paystackPost("/transfer", {
+      source: "balance",
+      amount: toKobo(breakdown.net),
+      recipient: account.recipientCode,
+      reference,
+      reason: `Withdrawal for ${account.accountName}`,
+    });
+  } catch (err) {
+    // Only a definite rejection from Paystack frees the money; after a
+    // timeout the transfer may still go out, so the hold stays pending.
+    if (err.response) {
+      await releaseHold(reference, "failed", err.message);
+    }
+    throw err;
+  }
+
+  return { reference, ...breakdown };
+}
+
+module.exports = {
+  startOfDay,
+  withdrawalBreakdown,
+  withdraw,
+  releaseHold,
+  settleWithdrawal,
+  reverseWithdrawal,
+};
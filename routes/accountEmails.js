@@ -0,0 +1,88 @@
+// routes/accountEmails.js
+
+const express = require("express");
+const { requireAuth } = require("../lib/auth");
+const { HttpError, asyncHandler } = require("../lib/errors");
+const { validateBody } = require("../lib/validate");
+const { rateLimit } = require("../lib/rateLimit");
+const accountEmails = require("../lib/accountEmails");
+
+const router = express.Router();
+
+// Per caller; accountEmails adds per-address limits on top
+const emailLimit = rateLimit("account_email");
+
+const emailBody = validateBody({
+  email: { type: "email", maxLength: 320, required: true },
+});
+
+// Same answer whether or not an account exists for the address
+const UNIFORM_MESSAGE =
+  "If an account exists for this address, we've sent it an email.";
+
+/* =========================
+   EMAIL VERIFICATION
+========================= */
+router.post(
+  "/send-custom-verification",
+  requireAuth,
+  emailLimit,
+  emailBody,
+  asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    // Users can only ask for a link for their own address
+    if (
+      accountEmails.normalizeEmail(email) !==
+      accountEmails.normalizeEmail(req.user.email)
+    ) {
+      throw new HttpError(403, "Forbidden", "FORBIDDEN");
+    }
+
+    await accountEmails.requestVerificationEmail(email);
+    res.status(200).json({ message: "Verification link sent successfully!" });
+  }),
+);
+
+// Signed-out version, for users who lost the first email
+router.post(
+  "/auth/resend-verification",
+  emailLimit,
+  emailBody,
+  asyncHandler(async (req, res) => {
+    await accountEmails.requestVerificationEmail(req.body.email);
+    res.status(200).json({ message: UNIFORM_MESSAGE });
+  }),
+);
+
+/* =========================
+   PASSWORD RESET
+========================= */
+router.post(
+  "/auth/password-reset",
+  emailLimit,
+  emailBody,
+  asyncHandler(async (req, res) => {
+    await accountEmails.requestPasswordReset(req.body.email);
+    res.status(200).json({ message: UNIFORM_MESSAGE });
+  }),
+);
+
+/* =========================
+   EMAIL CHANGE
+   { newEmail }: sends a confirm link to the new address.
+========================= */
+router.post(
+  "/auth/change-email",
+  requireAuth,
+  emailLimit,
+  validateBody({
+    newEmail: { type: "email", maxLength: 320, required: true },
+  }),
+  asyncHandler(async (req, res) => {
+    await accountEmails.requestEmailChange(req.user, req.body.newEmail);
+    res.status(200).json({ message: UNIFORM_MESSAGE });
+  }),
+);
+
+module.exports = router;
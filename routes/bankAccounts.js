@@ -0,0 +1,78 @@
+// routes/bankAccounts.js
+
+const express = require("express");
+const { requireAuth } = require("../lib/auth");
+const { asyncHandler } = require("../lib/errors");
+const { validateBody } = require("../lib/validate");
+const bankAccounts = require("../lib/bankAccounts");
+
+const router = express.Router();
+
+// A string, so leading zeros survive
+const accountBody = validateBody({
+  accountNumber: { type: "string", pattern: /^\d{10}$/, required: true },
+  bankCode: { type: "string", maxLength: 20, required: true },
+});
+
+/* =========================
+   BANK LIST
+========================= */
+router.get(
+  "/banks",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const banks = await bankAccounts.listBanks();
+    res.json({ banks });
+  }),
+);
+
+/* =========================
+   RESOLVE ACCOUNT NAME
+========================= */
+router.post(
+  "/bank-accounts/resolve",
+  requireAuth,
+  accountBody,
+  asyncHandler(async (req, res) => {
+    const { accountNumber, bankCode } = req.body;
+    const account = await bankAccounts.resolveAccount(accountNumber, bankCode);
+    res.json({ account });
+  }),
+);
+
+/* =========================
+   SAVED PAYOUT ACCOUNTS
+========================= */
+router.get(
+  "/bank-accounts",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const accounts = await bankAccounts.listAccounts(req.user.uid);
+    res.json({ accounts });
+  }),
+);
+
+router.post(
+  "/bank-accounts",
+  requireAuth,
+  accountBody,
+  asyncHandler(async (req, res) => {
+    const { accountNumber, bankCode } = req.body;
+    const account = await bankAccounts.saveAccount(req.user.uid, {
+      accountNumber,
+      bankCode,
+    });
+    res.status(201).json({ success: true, account });
+  }),
+);
+
+router.delete(
+  "/bank-accounts/:id",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    await bankAccounts.deleteAccount(req.user.uid, req.params.id);
+    res.json({ success: true });
+  }),
+);
+
+module.exports = router;
@@ -0,0 +1,201 @@
+// routes/escrow.js
+
+const express = require("express");
+const { requireAuth, requireAdmin, hasRole } = require("../lib/auth");
+const { asyncHandler } = require("../lib/errors");
+const { validateBody } = require("../lib/validate");
+const escrow = require("../lib/escrow");
+const disputes = require("../lib/disputes");
+
+const router = express.Router();
+
+// References to uploaded files; disputes caps how many
+const evidenceRule = { type: "array", items: { type: "string" } };
+
+/* =========================
+   CREATE ESCROW
+========================= */
+router.post(
+  "/",
+  requireAuth,
+  validateBody({
+    freelancerId: { type: "string", required: true },
+    jobpost: { type: "string", required: true },
+    amount: { type: "integer", min: 1, required: true },
+  }),
+  asyncHandler(async (req, res) => {
+    const { freelancerId, jobpost, amount } = req.body;
+
+    // The release window comes from the job's category
+    const created = await escrow.createEscrow({
+      clientId: req.user.uid,
+      freelancerId,
+      jobpost,
+      amount,
+    });
+
+    res.status(201).json({ success: true, escrow: created });
+  }),
+);
+
+/* =========================
+   FUND ESCROW
+========================= */
+router.post(
+  "/:id/fund",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const funded = await escrow.fundEscrow(req.params.id, req.user.uid);
+    res.json({ success: true, escrow: funded });
+  }),
+);
+
+/* =========================
+   EARLY RELEASE (client)
+========================= */
+router.post(
+  "/:id/release",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const released = await escrow.releaseEscrow(req.params.id, {
+      userId: req.user.uid,
+    });
+    res.json({ success: true, escrow: released });
+  }),
+);
+
+/* =========================
+   EXTEND AUTO-RELEASE (client, once)
+========================= */
+router.post(
+  "/:id/extend",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const extended = await escrow.extendEscrow(req.params.id, req.user.uid);
+    res.json({ success: true, escrow: extended });
+  }),
+);
+
+/* =========================
+   CANCEL (unfunded)
+========================= */
+router.post(
+  "/:id/cancel",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const cancelled = await escrow.cancelEscrow(req.params.id, req.user.uid);
+    res.json({ success: true, escrow: cancelled });
+  }),
+);
+
+/* =========================
+   REFUND (freelancer)
+========================= */
+router.post(
+  "/:id/refund",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const refunded = await escrow.refundEscrow(req.params.id, req.user.uid);
+    res.json({ success: true, escrow: refunded });
+  }),
+);
+
+/* =========================
+   DISPUTES
+   Either party opens one on a funded escrow; auto-release stops until
+   an admin resolves it.
+========================= */
+router.get(
+  "/disputes/open",
+  requireAuth,
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const open = await disputes.listOpenDisputes({ limit: req.query.limit });
+    res.json({ disputes: open });
+  }),
+);
+
+router.post(
+  "/:id/dispute",
+  requireAuth,
+  validateBody({
+    reason: { type: "string", maxLength: 5000, required: true },
+    evidence: evidenceRule,
+  }),
+  asyncHandler(async (req, res) => {
+    const { reason, evidence } = req.body;
+    const dispute = await disputes.openDispute(req.params.id, req.user.uid, {
+      reason,
+      evidence,
+    });
+    res.status(201).json({ success: true, dispute });
+  }),
+);
+
+router.post(
+  "/:id/dispute/statements",
+  requireAuth,
+  validateBody({
+    text: { type: "string", maxLength: 5000 },
+    evidence: evidenceRule,
+  }),
+  asyncHandler(async (req, res) => {
+    const { text, evidence } = req.body;
+    const statement = await disputes.addStatement(req.params.id, req.user.uid, {
+      text,
+      evidence,
+    });
+    res.status(201).json({ success: true, statement });
+  }),
+);
+
+router.get(
+  "/:id/dispute",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const userId = hasRole(req.user, "admin") ? null : req.user.uid;
+    const dispute = await disputes.getDispute(req.params.id, userId);
+    res.json({ dispute });
+  }),
+);
+
+// { outcome: "release" | "refund" | "split", freelancerAmount?, note? }
+router.post(
+  "/:id/dispute/resolve",
+  requireAuth,
+  requireAdmin,
+  validateBody({
+    outcome: {
+      type: "string",
+      enum: Object.values(disputes.OUTCOMES),
+      required: true,
+    },
+    freelancerAmount: { type: "number", min: 0.01 },
+    note: { type: "string", maxLength: 2000 },
+  }),
+  asyncHandler(async (req, res) => {
+    const { outcome, freelancerAmount, note } = req.body;
+    const resolved = await disputes.resolveDispute(
+      req.params.id,
+      req.user.uid,
+      { outcome, freelancerAmount, note },
+    );
+    res.json({ success: true, escrow: resolved });
+  }),
+);
+
+/* =========================
+   STATUS
+========================= */
+router.get(
+  "/:id",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    // Admins can look at any escrow, everyone else only their own
+    const userId = hasRole(req.user, "admin") ? null : req.user.uid;
+    const found = await escrow.getEscrow(req.params.id, userId);
+    res.json({ escrow: found });
+  }),
+);
+
+module.exports = router;
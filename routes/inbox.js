@@ -0,0 +1,54 @@
+// routes/inbox.js
+
+const express = require("express");
+const { requireAuth } = require("../lib/auth");
+const { asyncHandler } = require("../lib/errors");
+const inbox = require("../lib/inbox");
+
+const router = express.Router();
+
+/* =========================
+   INBOX
+   ?cursor= &limit=
+========================= */
+router.get(
+  "/",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const { cursor, limit } = req.query;
+    const page = await inbox.listInbox(req.user.uid, { cursor, limit });
+    res.json(page);
+  }),
+);
+
+router.get(
+  "/unread-count",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const count = await inbox.unreadCount(req.user.uid);
+    res.json({ count });
+  }),
+);
+
+/* =========================
+   MARK READ
+========================= */
+router.post(
+  "/read-all",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const updated = await inbox.markAllRead(req.user.uid);
+    res.json({ success: true, updated });
+  }),
+);
+
+router.post(
+  "/:id/read",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    await inbox.markRead(req.user.uid, req.params.id);
+    res.json({ success: true });
+  }),
+);
+
+module.exports = router;
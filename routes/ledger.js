@@ -0,0 +1,66 @@
+// routes/ledger.js
+
+const express = require("express");
+const {
+  requireAuth,
+  requireAdmin,
+  requireSelfOrAdmin,
+} = require("../lib/auth");
+const { asyncHandler } = require("../lib/errors");
+const ledger = require("../lib/ledger");
+
+const router = express.Router();
+
+/* =========================
+   STATEMENT
+   ?from=&to= (ms timestamps) &limit= &cursor=
+========================= */
+router.get(
+  "/:userId/statement",
+  requireAuth,
+  requireSelfOrAdmin(),
+  asyncHandler(async (req, res) => {
+    const { from, to, limit, cursor } = req.query;
+    const statement = await ledger.getStatement(req.params.userId, {
+      from,
+      to,
+      limit,
+      cursor,
+    });
+
+    res.json(statement);
+  }),
+);
+
+/* =========================
+   BALANCE CHECK
+   Derived-from-entries balance against the stored totals.
+========================= */
+router.get(
+  "/:userId/balance",
+  requireAuth,
+  requireSelfOrAdmin(),
+  asyncHandler(async (req, res) => {
+    const result = await ledger.verifyAccount(
+      ledger.ACCOUNTS.user(req.params.userId),
+    );
+    res.json(result);
+  }),
+);
+
+/* =========================
+   OPEN LEGACY BALANCES
+   One-off migration of pre-ledger Balance docs.
+========================= */
+router.post(
+  "/open-legacy-balances",
+  requireAuth,
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const result = await ledger.openAllLegacyBalances();
+    console.log("✅ Opened legacy balances:", result);
+    res.json({ success: true, ...result });
+  }),
+);
+
+module.exports = router;
@@ -0,0 +1,117 @@
+// routes/moderation.js
+
+const express = require("express");
+const { requireAuth, requireAdmin, hasRole } = require("../lib/auth");
+const { HttpError, asyncHandler } = require("../lib/errors");
+const { validateBody } = require("../lib/validate");
+const moderation = require("../lib/moderation");
+const chatModeration = require("../lib/chatModeration");
+
+const router = express.Router();
+
+const reviewBody = validateBody({
+  note: { type: "string", maxLength: 2000 },
+});
+
+/* =========================
+   REVIEW QUEUE (admin)
+   ?status=pending_review &limit= &cursor=
+========================= */
+router.get(
+  "/queue",
+  requireAuth,
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const { status, limit, cursor } = req.query;
+    const page = await moderation.listQueue({ status, limit, cursor });
+    res.json(page);
+  }),
+);
+
+router.post(
+  "/:postId/approve",
+  requireAuth,
+  requireAdmin,
+  reviewBody,
+  asyncHandler(async (req, res) => {
+    const result = await moderation.reviewPost(req.params.postId, {
+      reviewerId: req.user.uid,
+      approve: true,
+      note: req.body.note,
+    });
+    res.json({ success: true, ...result });
+  }),
+);
+
+router.post(
+  "/:postId/reject",
+  requireAuth,
+  requireAdmin,
+  reviewBody,
+  asyncHandler(async (req, res) => {
+    const result = await moderation.reviewPost(req.params.postId, {
+      reviewerId: req.user.uid,
+      approve: false,
+      note: req.body.note,
+    });
+    res.json({ success: true, ...result });
+  }),
+);
+
+/* =========================
+   CHAT FLAGS (admin)
+========================= */
+router.get(
+  "/chat-offenders",
+  requireAuth,
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const { minFlags, limit } = req.query;
+    const report = await chatModeration.repeatOffenders({ minFlags, limit });
+    res.json(report);
+  }),
+);
+
+router.get(
+  "/rooms/:roomId/flags",
+  requireAuth,
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const flags = await chatModeration.listRoomFlags(req.params.roomId, {
+      limit: req.query.limit,
+    });
+    res.json({ roomId: req.params.roomId, flags });
+  }),
+);
+
+/* =========================
+   AUTHOR VIEW + APPEAL
+========================= */
+router.get(
+  "/:postId",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const item = await moderation.getQueueItem(req.params.postId);
+    if (item.authorId !== req.user.uid && !hasRole(req.user, "admin")) {
+      throw new HttpError(403, "Forbidden", "FORBIDDEN");
+    }
+    res.json({ moderation: item });
+  }),
+);
+
+router.post(
+  "/:postId/appeal",
+  requireAuth,
+  validateBody({
+    statement: { type: "string", maxLength: 5000 },
+  }),
+  asyncHandler(async (req, res) => {
+    const result = await moderation.appealPost(req.params.postId, {
+      authorId: req.user.uid,
+      statement: req.body.statement,
+    });
+    res.json({ success: true, ...result });
+  }),
+);
+
+module.exports = router;
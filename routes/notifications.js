@@ -0,0 +1,154 @@
+// routes/notifications.js
+
+const express = require("express");
+const { requireAuth, requireAdmin } = require("../lib/auth");
+const { HttpError, asyncHandler } = require("../lib/errors");
+const { validateBody } = require("../lib/validate");
+const { rateLimit } = require("../lib/rateLimit");
+const notifications = require("../lib/notifications");
+const broadcasts = require("../lib/broadcasts");
+const { queueChatMessage } = require("../lib/chatBatches");
+const { moderateChatMessage } = require("../lib/chatModeration");
+const contacts = require("../lib/contacts");
+
+const router = express.Router();
+
+const pushLimit = rateLimit("user_push");
+
+function sendResult(res, result) {
+  return res.status(200).json({
+    success: true,
+    message: result.reason
+      ? `Push not sent: ${result.reason}`
+      : "Notification sent successfully",
+    ...result,
+  });
+}
+
+/* =========================
+   JOB BROADCAST
+   { jobId, title?, body?, dryRun? }: pushes to the job's audience only.
+========================= */
+router.post(
+  "/send-notification",
+  requireAuth,
+  requireAdmin,
+  rateLimit("broadcast"),
+  validateBody({
+    jobId: { type: "string", required: true },
+    title: { type: "string", maxLength: 200 },
+    body: { type: "string", maxLength: 1000 },
+    dryRun: { type: "boolean" },
+  }),
+  asyncHandler(async (req, res) => {
+    const { jobId, title, body, dryRun } = req.body;
+
+    const result = await broadcasts.broadcastJob({
+      jobId,
+      title,
+      body,
+      dryRun: dryRun === true,
+      createdBy: req.user.uid,
+    });
+    res.status(200).json({ success: true, ...result });
+  }),
+);
+
+router.get(
+  "/notification-campaigns/:id",
+  requireAuth,
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const campaign = await broadcasts.getCampaign(req.params.id);
+    if (!campaign) {
+      throw new HttpError(404, "Campaign not found", "CAMPAIGN_NOT_FOUND");
+    }
+    res.json({ campaign });
+  }),
+);
+
+/* =========================
+   SINGLE-USER PUSHES
+   Kept as thin wrappers over notifyUser for the existing app screens.
+   The text always comes from the template, and the caller must work
+   with the receiver (see lib/contacts).
+========================= */
+const pushBody = validateBody({
+  receiverId: { type: "string", required: true },
+  roomId: { type: "string" },
+});
+
+function requireContact(check) {
+  return asyncHandler(async (req, res, next) => {
+    await check(req.user.uid, req.body.receiverId);
+    next();
+  });
+}
+
+function userNotificationRoute(
+  type,
+  pickVars,
+  send = notifications.notifyUser,
+) {
+  return asyncHandler(async (req, res) => {
+    const result = await send(
+      req.body.receiverId,
+      type,
+      pickVars(req.body, req.user),
+    );
+    sendResult(res, result);
+  });
+}
+
+router.post(
+  "/send-message-notification",
+  requireAuth,
+  pushLimit,
+  validateBody({
+    receiverId: { type: "string", required: true },
+    senderName: { type: "string", maxLength: 200 },
+    message: { type: "string", maxLength: 5000, required: true },
+    roomId: { type: "string", required: true },
+  }),
+  requireContact(contacts.assertCanMessage),
+  // Flagged messages get a safety warning in place of the preview;
+  // the rest go through the batcher so bursts collapse into one push
+  userNotificationRoute(
+    "chat",
+    (body, user) => ({
+      senderId: user.uid,
+      senderName: body.senderName,
+      message: body.message,
+      roomId: body.roomId,
+    }),
+    async (receiverId, type, { senderId, ...vars }) => {
+      const check = await moderateChatMessage({
+        receiverId,
+        senderId,
+        ...vars,
+      });
+      if (check.flagged) return check;
+      return queueChatMessage({ receiverId, ...vars });
+    },
+  ),
+);
+
+router.post(
+  "/send-hired-notification",
+  requireAuth,
+  pushLimit,
+  pushBody,
+  requireContact(contacts.assertClientOf),
+  userNotificationRoute("hired", (body) => ({ roomId: body.roomId })),
+);
+
+router.post(
+  "/send-paid-notification",
+  requireAuth,
+  pushLimit,
+  pushBody,
+  requireContact(contacts.assertClientOf),
+  userNotificationRoute("paid", (body) => ({ roomId: body.roomId })),
+);
+
+module.exports = router;
@@ -0,0 +1,44 @@
+// routes/outbox.js
+
+const express = require("express");
+const { requireAuth, requireAdmin } = require("../lib/auth");
+const { asyncHandler } = require("../lib/errors");
+const outbox = require("../lib/outbox");
+
+const router = express.Router();
+
+router.use(requireAuth, requireAdmin);
+
+/* =========================
+   LIST (admin)
+   ?status=dead (default) &limit= &cursor=
+========================= */
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    const { status, limit, cursor } = req.query;
+    res.json(await outbox.listMessages({ status, limit, cursor }));
+  }),
+);
+
+router.get(
+  "/:id",
+  asyncHandler(async (req, res) => {
+    res.json({ message: await outbox.getMessage(req.params.id) });
+  }),
+);
+
+/* =========================
+   RE-SEND A DEAD MESSAGE
+========================= */
+router.post(
+  "/:id/resend",
+  asyncHandler(async (req, res) => {
+    const message = await outbox.resendMessage(req.params.id, {
+      requestedBy: req.user.uid,
+    });
+    res.json({ success: true, message });
+  }),
+);
+
+module.exports = router;
@@ -0,0 +1,67 @@
+// routes/preferences.js
+
+const express = require("express");
+const { requireAuth } = require("../lib/auth");
+const { asyncHandler } = require("../lib/errors");
+const { validateBody } = require("../lib/validate");
+const preferences = require("../lib/preferences");
+
+const router = express.Router();
+
+/* =========================
+   NOTIFICATION PREFERENCES
+========================= */
+router.get(
+  "/",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    res.json({ preferences: await preferences.getPreferences(req.user.uid) });
+  }),
+);
+
+// { categories?: { chat: false },
+//   quietHours?: { enabled, start, end, timezone } }
+// The shape inside each is checked by preferences itself
+router.patch(
+  "/",
+  requireAuth,
+  validateBody({
+    categories: { type: "object" },
+    quietHours: { type: "object" },
+  }),
+  asyncHandler(async (req, res) => {
+    const updated = await preferences.updatePreferences(req.user.uid, req.body);
+    res.json({ success: true, preferences: updated });
+  }),
+);
+
+/* =========================
+   ROOM MUTE
+========================= */
+router.put(
+  "/muted-rooms/:roomId",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const updated = await preferences.setRoomMuted(
+      req.user.uid,
+      req.params.roomId,
+      true,
+    );
+    res.json({ success: true, preferences: updated });
+  }),
+);
+
+router.delete(
+  "/muted-rooms/:roomId",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const updated = await preferences.setRoomMuted(
+      req.user.uid,
+      req.params.roomId,
+      false,
+    );
+    res.json({ success: true, preferences: updated });
+  }),
+);
+
+module.exports = router;
@@ -0,0 +1,54 @@
+// routes/reconciliation.js
+
+const express = require("express");
+const { requireAuth, requireAdmin } = require("../lib/auth");
+const { asyncHandler } = require("../lib/errors");
+const { validateBody } = require("../lib/validate");
+const reconciliation = require("../lib/reconciliation");
+
+const router = express.Router();
+
+router.use(requireAuth, requireAdmin);
+
+/* =========================
+   REPORTS (admin)
+========================= */
+router.get(
+  "/reports",
+  asyncHandler(async (req, res) => {
+    const reports = await reconciliation.listReports({
+      limit: req.query.limit,
+    });
+    res.json({ reports });
+  }),
+);
+
+router.get(
+  "/reports/:id",
+  asyncHandler(async (req, res) => {
+    res.json({ report: await reconciliation.getReport(req.params.id) });
+  }),
+);
+
+/* =========================
+   MANUAL RUN
+   { from?, to? } in ms; defaults to the last two days.
+========================= */
+router.post(
+  "/run",
+  validateBody({
+    from: { type: "integer", min: 0 },
+    to: { type: "integer", min: 0 },
+  }),
+  asyncHandler(async (req, res) => {
+    const { from, to } = req.body;
+    const result = await reconciliation.reconcile({
+      from,
+      to,
+      triggeredBy: req.user.uid,
+    });
+    res.status(201).json({ success: true, ...result });
+  }),
+);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+// routes/scheduledJobs.js
+
+const express = require("express");
+const { requireAuth, requireAdmin } = require("../lib/auth");
+const { asyncHandler } = require("../lib/errors");
+const scheduler = require("../lib/scheduler");
+
+const router = express.Router();
+
+router.use(requireAuth, requireAdmin);
+
+/* =========================
+   JOB STATE (admin)
+========================= */
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    res.json({ jobs: await scheduler.listJobs() });
+  }),
+);
+
+router.get(
+  "/:name/runs",
+  asyncHandler(async (req, res) => {
+    const runs = await scheduler.listRuns(req.params.name, {
+      limit: req.query.limit,
+    });
+    res.json({ name: req.params.name, runs });
+  }),
+);
+
+/* =========================
+   MANUAL TRIGGER
+   Runs now and waits for the outcome; the schedule is unchanged.
+========================= */
+router.post(
+  "/:name/run",
+  asyncHandler(async (req, res) => {
+    const run = await scheduler.runNow(req.params.name, {
+      triggeredBy: req.user.uid,
+    });
+    res.json({ success: run.outcome === "success", run });
+  }),
+);
+
+module.exports = router;
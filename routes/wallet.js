@@ -0,0 +1,40 @@
+// routes/wallet.js
+
+const express = require("express");
+const { requireAuth } = require("../lib/auth");
+const { asyncHandler } = require("../lib/errors");
+const { validateBody } = require("../lib/validate");
+const topups = require("../lib/topups");
+
+const router = express.Router();
+
+/* =========================
+   TOP-UP (Paystack checkout)
+========================= */
+router.post(
+  "/wallet/topup",
+  requireAuth,
+  validateBody({ amount: { type: "integer", min: 1, required: true } }),
+  asyncHandler(async (req, res) => {
+    const result = await topups.initializeTopUp({
+      userId: req.user.uid,
+      amount: req.body.amount,
+      email: req.user.email,
+    });
+    res.json({ success: true, ...result });
+  }),
+);
+
+/* =========================
+   VERIFY TOP-UP
+========================= */
+router.get(
+  "/transaction/verify/:reference",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const result = await topups.verifyTopUp(req.params.reference, req.user.uid);
+    res.json({ success: result.status === "success", ...result });
+  }),
+);
+
+module.exports = router;
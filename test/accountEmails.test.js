@@ -0,0 +1,77 @@
+// test/accountEmails.test.js
+
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fakeFirebase = require("./support/fakeFirebase");
+
+process.env.MAIL_PROVIDERS = "console";
+fakeFirebase.install();
+
+const accountEmails = require("../lib/accountEmails");
+const { processMessage } = require("../lib/outboxWorker");
+const outbox = require("../lib/outbox");
+
+beforeEach(() => {
+  fakeFirebase.reset();
+  fakeFirebase.addUser("user-1", { email: "ada@example.com" });
+});
+
+function outboxDocs() {
+  return [...fakeFirebase.store.entries()]
+    .filter(([docPath]) => docPath.startsWith("Outbox/"))
+    .map(([docPath, data]) => ({ id: docPath.split("/")[1], ...data }));
+}
+
+// The send happens after the caller is answered
+async function settle() {
+  await new Promise((resolve) => setImmediate(resolve));
+}
+
+test("a password reset is queued without its link", async () => {
+  // Keep the worker from sending it before we look
+  outbox.setDispatcher(async () => null);
+  await accountEmails.requestPasswordReset("Ada@Example.com");
+  await settle();
+
+  const [message] = outboxDocs();
+  assert.equal(message.payload.to, "ada@example.com");
+  assert.equal(message.payload.template, "password_reset");
+  assert.equal(message.payload.vars.link, undefined);
+  assert.doesNotMatch(JSON.stringify(message), /auth\.test/);
+});
+
+test("the worker adds the link when it delivers", async () => {
+  outbox.setDispatcher(async () => null);
+  await accountEmails.requestPasswordReset("ada@example.com");
+  await settle();
+
+  const logged = [];
+  mock.method(console, "log", (...args) => logged.push(args.join(" ")));
+  try {
+    const [message] = outboxDocs();
+    assert.equal(await processMessage(message.id), outbox.OUTBOX_STATUS.SENT);
+  } finally {
+    mock.restoreAll();
+  }
+
+  assert.ok(
+    logged.some((line) =>
+      line.includes("https://auth.test/reset?email=ada@example.com"),
+    ),
+  );
+  assert.doesNotMatch(JSON.stringify(outboxDocs()), /auth\.test/);
+});
+
+test("an email change link is made for the current and new address", async () => {
+  const vars = await accountEmails.withLink({
+    to: "new@example.com",
+    template: "email_change",
+    vars: { currentEmail: "ada@example.com" },
+  });
+
+  assert.equal(
+    vars.link,
+    "https://auth.test/change?email=ada@example.com&to=new@example.com",
+  );
+  assert.equal(vars.currentEmail, "ada@example.com");
+});
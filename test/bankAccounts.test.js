@@ -0,0 +1,74 @@
+// test/bankAccounts.test.js
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fakeFirebase = require("./support/fakeFirebase");
+const { createPaystackStandIn } = require("../dev/paystackStandIn");
+
+fakeFirebase.install();
+
+let standIn;
+let server;
+let bankAccounts;
+
+before(async () => {
+  standIn = createPaystackStandIn({
+    accounts: [
+      {
+        bankCode: "058",
+        accountNumber: "0123456789",
+        accountName: "ADEYEMI TOLU GRACE",
+      },
+    ],
+  });
+  server = await new Promise((resolve) => {
+    const listening = standIn.app.listen(0, () => resolve(listening));
+  });
+  process.env.PAYSTACK_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  bankAccounts = require("../lib/bankAccounts");
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  fakeFirebase.reset();
+  standIn.state.recipients.clear();
+  fakeFirebase.seed("users/user-1", { name: "Tolu Adeyemi" });
+});
+
+test("saveAccount resolves the account and creates a recipient", async () => {
+  const saved = await bankAccounts.saveAccount("user-1", {
+    accountNumber: "0123456789",
+    bankCode: "058",
+  });
+
+  assert.equal(saved.accountName, "ADEYEMI TOLU GRACE");
+  assert.equal(saved.bankName, "Guaranty Trust Bank");
+  assert.equal(saved.accountNumber, "******6789");
+
+  const stored = fakeFirebase.read("users/user-1/BankAccounts/058-0123456789");
+  assert.ok(standIn.state.recipients.has(stored.recipientCode));
+});
+
+test("an account Paystack can't resolve is refused", async () => {
+  await assert.rejects(
+    bankAccounts.saveAccount("user-1", {
+      accountNumber: "9999999999",
+      bankCode: "058",
+    }),
+    { status: 400, code: "ACCOUNT_NOT_RESOLVED" },
+  );
+});
+
+test("an account in someone else's name is refused", async () => {
+  fakeFirebase.seed("users/user-1", { name: "Chidi Okafor" });
+
+  await assert.rejects(
+    bankAccounts.saveAccount("user-1", {
+      accountNumber: "0123456789",
+      bankCode: "058",
+    }),
+    { status: 400, code: "ACCOUNT_NAME_MISMATCH" },
+  );
+  assert.equal(standIn.state.recipients.size, 0);
+});
@@ -0,0 +1,77 @@
+// test/broadcasts.test.js
+
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fakeFirebase = require("./support/fakeFirebase");
+
+fakeFirebase.install();
+
+const broadcasts = require("../lib/broadcasts");
+
+// A two-hour quiet window in UTC that always contains now
+function quietNow() {
+  const hour = new Date().getUTCHours();
+  const pad = (h) => `${String(h % 24).padStart(2, "0")}:00`;
+  return {
+    enabled: true,
+    start: pad(hour),
+    end: pad(hour + 2),
+    timezone: "UTC",
+  };
+}
+
+function docsIn(collection) {
+  return [...fakeFirebase.store.entries()]
+    .filter(([path]) => path.startsWith(`${collection}/`))
+    .map(([, data]) => data);
+}
+
+beforeEach(() => {
+  fakeFirebase.reset();
+  fakeFirebase.seed("jobs/job-1", {
+    userId: "author",
+    title: "Logo design",
+    description: "Need a logo",
+    university: "unilag",
+  });
+  for (const userId of ["author", "keen", "opted-out", "asleep"]) {
+    fakeFirebase.seed(`users/${userId}`, { university: "unilag" });
+  }
+  fakeFirebase.seed("users/ready", {
+    university: "unilag",
+    expoPushToken: "ExponentPushToken[ready]",
+  });
+  fakeFirebase.seed("NotificationPreferences/opted-out", {
+    categories: { job: false },
+  });
+  fakeFirebase.seed("NotificationPreferences/asleep", {
+    quietHours: quietNow(),
+  });
+});
+
+test("job broadcasts follow category switches and quiet hours", async () => {
+  const result = await broadcasts.broadcastJob({ jobId: "job-1" });
+
+  assert.equal(result.targeted, 4);
+  assert.equal(result.deferred, 1);
+  // "keen" has no push token and "opted-out" turned job pushes off
+  assert.equal(result.skipped, 2);
+  assert.equal(result.queued, 1);
+
+  const deferred = docsIn("DeferredPushes");
+  assert.equal(deferred.length, 1);
+  assert.equal(deferred[0].userId, "asleep");
+  assert.equal(deferred[0].content.data.type, "job");
+});
+
+test("job broadcasts hand pushes to the outbox instead of sending them", async () => {
+  await broadcasts.broadcastJob({ jobId: "job-1" });
+
+  const queued = docsIn("Outbox");
+  assert.equal(queued.length, 1);
+  assert.equal(queued[0].channel, "push");
+  assert.equal(queued[0].status, "pending");
+  assert.equal(queued[0].payload.userId, "ready");
+  assert.equal(queued[0].payload.content.data.type, "job");
+  assert.ok(queued[0].payload.content.data.notificationId);
+});
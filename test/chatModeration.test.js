@@ -0,0 +1,37 @@
+// test/chatModeration.test.js
+
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fakeFirebase = require("./support/fakeFirebase");
+
+fakeFirebase.install();
+
+const { moderateChatMessage } = require("../lib/chatModeration");
+
+const message = {
+  senderId: "client-1",
+  receiverId: "worker-1",
+  message: "Just pay me directly and skip escrow",
+};
+
+beforeEach(() => fakeFirebase.reset());
+
+test("flags are filed under the message's room", async () => {
+  const result = await moderateChatMessage({ ...message, roomId: "room-9" });
+
+  assert.equal(result.flagged, true);
+  assert.equal(result.label, "OFF_PLATFORM_PAYMENT");
+  const flag = fakeFirebase.read(`ChatRoomFlags/room-9/Flags/${result.flagId}`);
+  assert.equal(flag.senderId, "client-1");
+  assert.deepEqual(fakeFirebase.read("ChatOffenders/client-1").rooms, [
+    "room-9",
+  ]);
+});
+
+test("a message without a roomId is refused before scoring", async () => {
+  await assert.rejects(moderateChatMessage(message), {
+    status: 400,
+    code: "ROOM_ID_REQUIRED",
+  });
+  assert.equal(fakeFirebase.store.size, 0);
+});
@@ -0,0 +1,28 @@
+// test/disputes.test.js
+
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fakeFirebase = require("./support/fakeFirebase");
+
+fakeFirebase.install();
+
+const { listOpenDisputes } = require("../lib/disputes");
+
+beforeEach(() => {
+  fakeFirebase.reset();
+  // Ids sort the other way round from openedAt
+  const openedAt = { a: 500, b: 400, c: 300, d: 200, e: 100 };
+  for (const [id, at] of Object.entries(openedAt)) {
+    fakeFirebase.seed(`Disputes/${id}`, { status: "open", openedAt: at });
+  }
+  fakeFirebase.seed("Disputes/f", { status: "resolved", openedAt: 1 });
+});
+
+test("listOpenDisputes returns the oldest open disputes first", async () => {
+  const disputes = await listOpenDisputes({ limit: 3 });
+
+  assert.deepEqual(
+    disputes.map((dispute) => dispute.id),
+    ["e", "d", "c"],
+  );
+});
@@ -0,0 +1,170 @@
+// test/escrow.test.js
+
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fakeFirebase = require("./support/fakeFirebase");
+
+process.env.ESCROW_RELEASE_WINDOWS = JSON.stringify({ design: 3 });
+fakeFirebase.install();
+
+const escrow = require("../lib/escrow");
+const ledger = require("../lib/ledger");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const request = {
+  clientId: "client-1",
+  freelancerId: "worker-1",
+  jobpost: "job-1",
+  amount: 5000,
+};
+
+beforeEach(() => {
+  fakeFirebase.reset();
+  fakeFirebase.seed("jobs/job-1", {
+    userId: "client-1",
+    title: "Logo design",
+    category: "design",
+  });
+});
+
+test("createEscrow takes the release window from the job", async () => {
+  const created = await escrow.createEscrow(request);
+
+  assert.equal(created.category, "design");
+  assert.equal(created.releaseWindowMs, 3 * DAY);
+  const stored = fakeFirebase.read(`Escrows/${created._id}`);
+  assert.equal(stored.status, created.status);
+  assert.equal(stored.clientId, "client-1");
+});
+
+test("bad release window overrides keep the default", () => {
+  const windows = escrow.loadReleaseWindows(
+    JSON.stringify({ design: "three", writing: -1, default: null, music: 2 }),
+  );
+
+  assert.deepEqual(windows, { default: 7, music: 2 });
+  assert.deepEqual(escrow.loadReleaseWindows("{nope"), { default: 7 });
+});
+
+test("createEscrow refuses a job that doesn't exist", async () => {
+  await assert.rejects(
+    escrow.createEscrow({ ...request, jobpost: "job-missing" }),
+    { status: 404, code: "JOB_NOT_FOUND" },
+  );
+  assert.equal(fakeFirebase.store.size, 1);
+});
+
+test("createEscrow refuses someone else's job", async () => {
+  await assert.rejects(
+    escrow.createEscrow({
+      ...request,
+      clientId: "client-2",
+      freelancerId: "worker-1",
+    }),
+    { status: 403, code: "NOT_JOB_OWNER" },
+  );
+  assert.equal(fakeFirebase.store.size, 1);
+});
+
+async function fundedEscrow() {
+  fakeFirebase.seed("Balance/client-1", { Amount: 5000 });
+  const created = await escrow.createEscrow(request);
+  await escrow.fundEscrow(created._id, "client-1");
+  return created._id;
+}
+
+function makeDue(escrowId) {
+  const stored = fakeFirebase.read(`Escrows/${escrowId}`);
+  fakeFirebase.seed(`Escrows/${escrowId}`, {
+    ...stored,
+    autoReleaseAt: Date.now() - 1000,
+  });
+}
+
+function releaseEntries() {
+  return [...fakeFirebase.store.entries()].filter(
+    ([docPath, entry]) =>
+      docPath.startsWith("LedgerEntries/") &&
+      entry.type === ledger.ENTRY_TYPES.ESCROW_RELEASE,
+  );
+}
+
+test("releasing an escrow twice pays the freelancer once", async () => {
+  const escrowId = await fundedEscrow();
+
+  const first = await escrow.releaseEscrow(escrowId, { userId: "client-1" });
+  const second = await escrow.releaseEscrow(escrowId, { userId: "client-1" });
+
+  assert.equal(first.status, escrow.ESCROW_STATUS.RELEASED);
+  assert.equal(second.alreadyReleased, true);
+  assert.equal(releaseEntries().length, 1);
+  assert.equal(fakeFirebase.read("Balance/worker-1").Amount, 5000);
+});
+
+test("an early release racing auto-release pays the freelancer once", async () => {
+  const escrowId = await fundedEscrow();
+  makeDue(escrowId);
+
+  const [manual, sweep] = await Promise.all([
+    escrow.releaseEscrow(escrowId, { userId: "client-1" }),
+    escrow.autoReleaseDue(),
+  ]);
+
+  assert.equal(sweep.failed, 0);
+  // Whichever committed second saw the first's release and stood down
+  assert.equal(Boolean(manual.alreadyReleased), sweep.released === 1);
+  assert.equal(releaseEntries().length, 1);
+  assert.equal(fakeFirebase.read("Balance/worker-1").Amount, 5000);
+  assert.equal(
+    fakeFirebase.read(`LedgerAccounts/escrow:${escrowId}`).balance,
+    0,
+  );
+});
+
+test("autoReleaseDue opens and releases an escrow from before the state machine", async () => {
+  // Written by the app: no status and no ledger entries
+  fakeFirebase.seed("Escrows/legacy-1", {
+    clientId: "client-1",
+    freelancerId: "worker-1",
+    jobpost: "job-1",
+    amount: 5000,
+    isReleased: false,
+    autoReleaseAt: Date.now() - DAY,
+  });
+
+  const result = await escrow.autoReleaseDue();
+
+  assert.equal(result.released, 1);
+  const stored = fakeFirebase.read("Escrows/legacy-1");
+  assert.equal(stored.status, escrow.ESCROW_STATUS.RELEASED);
+  assert.equal(stored.isReleased, true);
+  assert.equal(stored.legacyStatus, null);
+  assert.equal(fakeFirebase.read("Balance/worker-1").Amount, 5000);
+  assert.equal(fakeFirebase.read("LedgerAccounts/escrow:legacy-1").balance, 0);
+  assert.ok(fakeFirebase.read("LedgerEntries/escrow-release-legacy-1"));
+});
+
+test("autoReleaseDue opens a legacy escrow that isn't due without releasing it", async () => {
+  fakeFirebase.seed("Escrows/legacy-2", {
+    clientId: "client-1",
+    freelancerId: "worker-1",
+    jobpost: "job-1",
+    amount: 5000,
+    status: "active",
+    isReleased: false,
+    autoReleaseAt: Date.now() + DAY,
+  });
+
+  const result = await escrow.autoReleaseDue();
+
+  assert.equal(result.released, 0);
+  const stored = fakeFirebase.read("Escrows/legacy-2");
+  assert.equal(stored.status, escrow.ESCROW_STATUS.IN_PROGRESS);
+  assert.equal(stored.legacyStatus, "active");
+  assert.equal(
+    fakeFirebase.read("LedgerAccounts/escrow:legacy-2").balance,
+    5000,
+  );
+  assert.equal(fakeFirebase.read("Balance/worker-1"), undefined);
+});
@@ -0,0 +1,149 @@
+// test/fees.test.js
+
+const {
+  test,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+  mock,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const fakeFirebase = require("./support/fakeFirebase");
+const { createPaystackStandIn } = require("../dev/paystackStandIn");
+
+fakeFirebase.install();
+
+let standIn;
+let server;
+let fees;
+
+before(async () => {
+  standIn = createPaystackStandIn();
+  server = await new Promise((resolve) => {
+    const listening = standIn.app.listen(0, () => resolve(listening));
+  });
+  // Both are read once, when lib/fees is first required
+  process.env.PAYSTACK_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.FEE_ACCOUNT_RECIPIENT_CODE = "RCP_fees";
+  fees = require("../lib/fees");
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+afterEach(() => mock.restoreAll());
+
+beforeEach(() => {
+  // Sweeps log to stdout, which the test runner on Node 20 reads too
+  mock.method(console, "log", () => {});
+  fakeFirebase.reset();
+  standIn.state.transfers.clear();
+  fakeFirebase.seed("Balance/user-1", { Amount: 10000 });
+  fakeFirebase.seed("Escrows/escrow-1", {
+    clientId: "user-1",
+    freelancerId: "worker-1",
+    amount: 20000,
+  });
+});
+
+function account(name) {
+  const stored = fakeFirebase.read(`LedgerAccounts/${name}`);
+  return stored ? stored.balance : 0;
+}
+
+/* =========================
+   SCHEDULES
+========================= */
+test("bad schedule overrides keep the default", () => {
+  const schedules = fees.loadSchedules(
+    JSON.stringify({
+      escrow: { percent: "five" },
+      withdrawal: { min: 500, cap: 100 },
+      job_posting: { flat: -100 },
+      listing: { percent: 1 },
+    }),
+  );
+
+  assert.deepEqual(schedules, fees.FEE_SCHEDULES);
+});
+
+test("a good override replaces only the fields it names", () => {
+  const schedules = fees.loadSchedules(
+    JSON.stringify({ escrow: { percent: 2.5 } }),
+  );
+
+  assert.deepEqual(schedules.escrow, {
+    ...fees.FEE_SCHEDULES.escrow,
+    percent: 2.5,
+  });
+  assert.deepEqual(schedules.withdrawal, fees.FEE_SCHEDULES.withdrawal);
+});
+
+test("unparseable schedules fall back to the defaults", () => {
+  assert.deepEqual(fees.loadSchedules("{nope"), fees.FEE_SCHEDULES);
+});
+
+/* =========================
+   CHARGE
+========================= */
+test("a source is charged once", async () => {
+  const charge = () =>
+    fees.chargeFee({ userId: "user-1", type: "escrow", sourceId: "escrow-1" });
+
+  const first = await charge();
+  await assert.rejects(charge(), { status: 409, code: "ALREADY_CHARGED" });
+
+  // 5% of 20000
+  assert.equal(first.fee, 1000);
+  assert.equal(fakeFirebase.read("Balance/user-1").Amount, 9000);
+  assert.equal(account("fees"), 1000);
+  assert.equal(
+    fakeFirebase.read("transactions/fee-escrow-escrow-1").status,
+    "success",
+  );
+});
+
+test("two charges at once still take the fee once", async () => {
+  const charge = () =>
+    fees.chargeFee({ userId: "user-1", type: "escrow", sourceId: "escrow-1" });
+
+  const results = await Promise.allSettled([charge(), charge()]);
+
+  assert.deepEqual(results.map((result) => result.status).sort(), [
+    "fulfilled",
+    "rejected",
+  ]);
+  assert.equal(fakeFirebase.read("Balance/user-1").Amount, 9000);
+  assert.equal(account("fees"), 1000);
+});
+
+/* =========================
+   SWEEP
+========================= */
+test("a sweep that fails returns the fees once", async () => {
+  fakeFirebase.seed("LedgerAccounts/fees", { balance: 5000 });
+
+  const { reference, amount } = await fees.sweepFees();
+  assert.equal(amount, 5000);
+  assert.equal(account("fees"), 0);
+  assert.equal(standIn.state.transfers.get(reference).amount, 500000);
+
+  await fees.failFeeSweep(reference, "Transfer failed");
+  // transfer.failed then transfer.reversed for the same sweep
+  await fees.failFeeSweep(reference, "Transfer reversed");
+
+  assert.equal(fakeFirebase.read(`FeeSweeps/${reference}`).status, "failed");
+  assert.equal(account("fees"), 5000);
+  assert.equal(account("payouts"), 0);
+});
+
+test("a settled sweep that is reversed returns the fees", async () => {
+  fakeFirebase.seed("LedgerAccounts/fees", { balance: 5000 });
+
+  const { reference } = await fees.sweepFees();
+  await fees.settleFeeSweep(reference);
+  await fees.failFeeSweep(reference, "Transfer reversed");
+
+  assert.equal(account("fees"), 5000);
+  assert.equal(account("payouts"), 0);
+});
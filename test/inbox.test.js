@@ -0,0 +1,60 @@
+// test/inbox.test.js
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fakeFirebase = require("./support/fakeFirebase");
+
+fakeFirebase.install();
+
+const { startApp } = require("./support/http");
+const router = require("../routes/inbox");
+
+let app;
+
+before(async () => {
+  app = await startApp("/inbox", router);
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  fakeFirebase.reset();
+  fakeFirebase.addUser("user-1");
+  for (let i = 1; i <= 3; i++) {
+    fakeFirebase.seed(`users/user-1/Notifications/note-${i}`, {
+      title: `Note ${i}`,
+      readAt: null,
+      createdAt: i * 1000,
+    });
+  }
+});
+
+test("the inbox pages newest first", async () => {
+  const first = await app.request("GET", "/inbox?limit=2", {
+    token: "token-user-1",
+  });
+  const second = await app.request(
+    "GET",
+    `/inbox?limit=2&cursor=${first.body.nextCursor}`,
+    { token: "token-user-1" },
+  );
+
+  assert.deepEqual(
+    [...first.body.items, ...second.body.items].map((item) => item.id),
+    ["note-3", "note-2", "note-1"],
+  );
+  assert.equal(second.body.nextCursor, null);
+});
+
+test("a negative limit returns one notification", async () => {
+  const res = await app.request("GET", "/inbox?limit=-5", {
+    token: "token-user-1",
+  });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(
+    res.body.items.map((item) => item.id),
+    ["note-3"],
+  );
+  assert.equal(res.body.nextCursor, "note-3");
+});
@@ -0,0 +1,154 @@
+// test/ledger.test.js
+
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fakeFirebase = require("./support/fakeFirebase");
+
+fakeFirebase.install();
+
+const { db } = require("../lib/firebase");
+const ledger = require("../lib/ledger");
+
+const { ACCOUNTS, ENTRY_TYPES } = ledger;
+
+beforeEach(() => {
+  fakeFirebase.reset();
+});
+
+function topup(id, userId, amount, options) {
+  return db.runTransaction(async (tx) => {
+    ledger.post(
+      tx,
+      {
+        id,
+        type: ENTRY_TYPES.TOPUP,
+        lines: [
+          { account: ACCOUNTS.user(userId), amount },
+          { account: ACCOUNTS.DEPOSITS, amount: -amount },
+        ],
+      },
+      options,
+    );
+  });
+}
+
+function accountBalance(account) {
+  const stored = fakeFirebase.read(`LedgerAccounts/${account}`);
+  return stored ? stored.balance : 0;
+}
+
+/* =========================
+   POST
+========================= */
+test("an unbalanced entry is refused and writes nothing", async () => {
+  await assert.rejects(
+    db.runTransaction(async (tx) => {
+      ledger.post(tx, {
+        type: ENTRY_TYPES.TOPUP,
+        lines: [
+          { account: ACCOUNTS.user("user-1"), amount: 100 },
+          { account: ACCOUNTS.DEPOSITS, amount: -99.99 },
+        ],
+      });
+    }),
+    /unbalanced by 0.01/,
+  );
+  assert.equal(fakeFirebase.store.size, 0);
+});
+
+test("a keyed entry posts once", async () => {
+  await topup("topup-ref-1", "user-1", 2500);
+  await assert.rejects(topup("topup-ref-1", "user-1", 2500), { code: 6 });
+
+  assert.equal(accountBalance(ACCOUNTS.user("user-1")), 2500);
+  assert.equal(accountBalance(ACCOUNTS.DEPOSITS), -2500);
+  assert.equal(fakeFirebase.read("Balance/user-1").Amount, 2500);
+});
+
+test("user accounts are mirrored onto Balance unless told not to", async () => {
+  await topup("topup-ref-1", "user-1", 1000);
+  await topup("topup-ref-2", "user-1", 250);
+  await topup("opening-user-2", "user-2", 700, { mirrorBalance: false });
+
+  assert.equal(fakeFirebase.read("Balance/user-1").Amount, 1250);
+  assert.equal(fakeFirebase.read("Balance/user-2"), undefined);
+
+  const verified = await ledger.verifyAccount(ACCOUNTS.user("user-1"));
+  assert.equal(verified.consistent, true);
+  assert.equal(verified.derived, 1250);
+});
+
+/* =========================
+   STATEMENT
+========================= */
+function seedEntries(userId, count) {
+  for (let i = 1; i <= count; i++) {
+    fakeFirebase.seed(`LedgerEntries/entry-${i}`, {
+      type: ENTRY_TYPES.TOPUP,
+      memo: null,
+      reference: `ref-${i}`,
+      lines: [
+        { account: ACCOUNTS.user(userId), amount: i * 100 },
+        { account: ACCOUNTS.DEPOSITS, amount: -i * 100 },
+      ],
+      accounts: [ACCOUNTS.user(userId), ACCOUNTS.DEPOSITS],
+      postedAt: i * 1000,
+    });
+  }
+}
+
+test("statements page newest first until the entries run out", async () => {
+  seedEntries("user-1", 5);
+
+  const first = await ledger.getStatement("user-1", { limit: 2 });
+  const second = await ledger.getStatement("user-1", {
+    limit: 2,
+    cursor: first.nextCursor,
+  });
+  const last = await ledger.getStatement("user-1", {
+    limit: 2,
+    cursor: second.nextCursor,
+  });
+
+  assert.deepEqual(
+    [...first.items, ...second.items, ...last.items].map((item) => item.id),
+    ["entry-5", "entry-4", "entry-3", "entry-2", "entry-1"],
+  );
+  assert.equal(last.nextCursor, null);
+  assert.deepEqual(first.items[0], {
+    id: "entry-5",
+    type: ENTRY_TYPES.TOPUP,
+    direction: "credit",
+    amount: 500,
+    memo: null,
+    reference: "ref-5",
+    postedAt: 5000,
+  });
+});
+
+test("statements filter by date range", async () => {
+  seedEntries("user-1", 5);
+
+  const page = await ledger.getStatement("user-1", { from: 2000, to: 4000 });
+
+  assert.deepEqual(
+    page.items.map((item) => item.id),
+    ["entry-4", "entry-3", "entry-2"],
+  );
+});
+
+test("a negative statement limit returns one entry", async () => {
+  seedEntries("user-1", 3);
+
+  const page = await ledger.getStatement("user-1", { limit: -5 });
+
+  assert.equal(page.items.length, 1);
+  assert.equal(page.nextCursor, "entry-3");
+});
+
+test("an unknown statement cursor is refused", async () => {
+  await assert.rejects(
+    ledger.getStatement("user-1", { cursor: "entry-missing" }),
+    { status: 400, code: "INVALID_CURSOR" },
+  );
+});
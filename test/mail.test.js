@@ -0,0 +1,47 @@
+// test/mail.test.js
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const path = require("path");
+
+// Providers load once, when lib/mail is first required, so each case
+// gets a fresh process
+function loadMail(env) {
+  return spawnSync(
+    process.execPath,
+    ["-e", `require(${JSON.stringify(path.join(__dirname, "../lib/mail"))})`],
+    {
+      env: {
+        PATH: process.env.PATH,
+        RESEND_API_KEY: "",
+        SMTP_URL: "",
+        ...env,
+      },
+      encoding: "utf8",
+    },
+  );
+}
+
+test("production without a mail provider refuses to start", () => {
+  const result = loadMail({ NODE_ENV: "production" });
+
+  assert.notEqual(result.status, 0);
+  assert.match(result.stderr, /No mail provider configured/);
+});
+
+test("production can opt in to logging mail", () => {
+  const result = loadMail({
+    NODE_ENV: "production",
+    MAIL_PROVIDERS: "console",
+  });
+
+  assert.equal(result.status, 0, result.stderr);
+});
+
+test("development falls back to logging mail", () => {
+  const result = loadMail({ NODE_ENV: "development" });
+
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /logging mail to the console/);
+});
@@ -0,0 +1,42 @@
+// test/moderation.test.js
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fakeFirebase = require("./support/fakeFirebase");
+
+fakeFirebase.install();
+
+const { decide, MODERATION_STATUS } = require("../lib/moderation");
+
+function fallback(label, matchedRules = []) {
+  return {
+    source: "rules_fallback",
+    fallback: true,
+    label,
+    confidence: null,
+    matchedRules,
+  };
+}
+
+test("without the model nothing is approved, even a clean pass", () => {
+  assert.equal(decide(fallback("JOB_OK")), MODERATION_STATUS.PENDING_REVIEW);
+  assert.equal(
+    decide(fallback("SCAM", ["upfront_payment"])),
+    MODERATION_STATUS.PENDING_REVIEW,
+  );
+});
+
+test("the model's verdict decides when it answered", () => {
+  assert.equal(
+    decide({ source: "ai", label: "JOB_OK", confidence: 0.9 }),
+    MODERATION_STATUS.APPROVED,
+  );
+  assert.equal(
+    decide({ source: "ai", label: "SCAM", confidence: 0.5 }),
+    MODERATION_STATUS.PENDING_REVIEW,
+  );
+  assert.equal(
+    decide({ source: "ai", label: "SPAM", confidence: 0.5 }),
+    MODERATION_STATUS.REJECTED,
+  );
+});
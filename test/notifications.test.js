@@ -0,0 +1,150 @@
+// test/notifications.test.js
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fakeFirebase = require("./support/fakeFirebase");
+
+fakeFirebase.install();
+
+const { startApp } = require("./support/http");
+const notifications = require("../lib/notifications");
+const router = require("../routes/notifications");
+
+let app;
+
+before(async () => {
+  app = await startApp("/", router);
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  fakeFirebase.reset();
+  fakeFirebase.addUser("client-1");
+  fakeFirebase.addUser("worker-1");
+  fakeFirebase.addUser("stranger");
+  fakeFirebase.seed("Escrows/escrow-1", {
+    clientId: "client-1",
+    freelancerId: "worker-1",
+    jobpost: "job-1",
+    amount: 5000,
+    status: "in_progress",
+    isReleased: false,
+  });
+});
+
+function inboxOf(userId) {
+  return [...fakeFirebase.store.entries()]
+    .filter(([path]) => path.startsWith(`users/${userId}/Notifications/`))
+    .map(([, data]) => data);
+}
+
+test("renderTemplate leaves out vars the caller didn't send", () => {
+  const rendered = notifications.renderTemplate("hired", {});
+
+  assert.deepEqual(rendered.data, { type: "hired" });
+});
+
+test("hired push without a roomId lands in the inbox and outbox", async () => {
+  const res = await app.request("POST", "/send-hired-notification", {
+    token: "token-client-1",
+    body: { receiverId: "worker-1" },
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.queued, true);
+
+  const [item] = inboxOf("worker-1");
+  assert.deepEqual(item.payload, { type: "hired" });
+
+  const queued = fakeFirebase.read(`Outbox/${res.body.outboxId}`);
+  assert.equal(queued.payload.userId, "worker-1");
+  assert.equal("roomId" in queued.payload.content.data, false);
+});
+
+test("paid push keeps the roomId when one is sent", async () => {
+  const res = await app.request("POST", "/send-paid-notification", {
+    token: "token-client-1",
+    body: { receiverId: "worker-1", roomId: "room-9" },
+  });
+
+  assert.equal(res.status, 200);
+  const [item] = inboxOf("worker-1");
+  assert.deepEqual(item.payload, { type: "paid", roomId: "room-9" });
+});
+
+test("chat push without a roomId is refused", async () => {
+  const res = await app.request("POST", "/send-message-notification", {
+    token: "token-client-1",
+    body: { receiverId: "worker-1", message: "Are you free tomorrow?" },
+  });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error.code, "VALIDATION_FAILED");
+  assert.equal(res.body.error.details.fields[0].field, "roomId");
+});
+
+test("chat push without a senderName opens a batch", async () => {
+  const res = await app.request("POST", "/send-message-notification", {
+    token: "token-client-1",
+    body: {
+      receiverId: "worker-1",
+      message: "Are you free tomorrow?",
+      roomId: "room-9",
+    },
+  });
+
+  assert.equal(res.status, 200);
+  const batch = fakeFirebase.read("ChatPushBatches/worker-1_room-9");
+  assert.equal(batch.senderName, null);
+  assert.equal(inboxOf("worker-1")[0].title, "New message");
+});
+
+test("hired push ignores a caller's title and body", async () => {
+  const res = await app.request("POST", "/send-hired-notification", {
+    token: "token-client-1",
+    body: { receiverId: "worker-1", title: "Send me ₦5000", body: "Now" },
+  });
+
+  assert.equal(res.status, 200);
+  const [item] = inboxOf("worker-1");
+  assert.equal(item.title, "You've been hired!");
+  assert.equal(item.body, "A client hired you for a job");
+});
+
+test("hired and paid pushes need an escrow with the receiver", async () => {
+  for (const path of ["/send-hired-notification", "/send-paid-notification"]) {
+    const res = await app.request("POST", path, {
+      token: "token-stranger",
+      body: { receiverId: "worker-1" },
+    });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error.code, "NOT_CONNECTED");
+  }
+  // Nor the other way round, from freelancer to client
+  const res = await app.request("POST", "/send-paid-notification", {
+    token: "token-worker-1",
+    body: { receiverId: "client-1" },
+  });
+  assert.equal(res.status, 403);
+  assert.deepEqual(inboxOf("worker-1"), []);
+  assert.deepEqual(inboxOf("client-1"), []);
+});
+
+test("chat pushes need a connection, and the receiver can reply", async () => {
+  const message = (token, receiverId) =>
+    app.request("POST", "/send-message-notification", {
+      token,
+      body: { receiverId, message: "Hi", roomId: "room-2" },
+    });
+
+  const cold = await message("token-stranger", "worker-1");
+  assert.equal(cold.status, 403);
+  assert.equal(cold.body.error.code, "NOT_CONNECTED");
+
+  // Writing to a job's author is how an application starts
+  fakeFirebase.seed("jobs/job-2", { userId: "worker-1", title: "Flyers" });
+  assert.equal((await message("token-stranger", "worker-1")).status, 200);
+  assert.equal((await message("token-worker-1", "stranger")).status, 200);
+});
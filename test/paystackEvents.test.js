@@ -0,0 +1,88 @@
+// test/paystackEvents.test.js
+
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fakeFirebase = require("./support/fakeFirebase");
+
+fakeFirebase.install();
+
+const {
+  handleWebhookEvent,
+  retryStalledEvents,
+} = require("../lib/paystackEvents");
+
+const LEASE_MS = 5 * 60 * 1000;
+
+beforeEach(() => fakeFirebase.reset());
+
+test("a failing event is reported so the webhook isn't acknowledged", async () => {
+  // Firestore ids can't hold "/", so the top-up lookup throws
+  const result = await handleWebhookEvent({
+    event: "charge.success",
+    data: { id: 7, reference: "tu/broken" },
+  });
+
+  assert.equal(result.status, "failed");
+  const stored = fakeFirebase.read("PaystackEvents/charge.success_7");
+  assert.equal(stored.status, "failed");
+  assert.equal(stored.attempts, 1);
+});
+
+test("a redelivered failed event is tried again", async () => {
+  const payload = {
+    event: "charge.success",
+    data: { id: 7, reference: "x/y" },
+  };
+  await handleWebhookEvent(payload);
+  const result = await handleWebhookEvent(payload);
+
+  assert.equal(result.duplicate, undefined);
+  assert.equal(
+    fakeFirebase.read("PaystackEvents/charge.success_7").attempts,
+    2,
+  );
+});
+
+test("a claim inside its lease is left alone", async () => {
+  fakeFirebase.seed("PaystackEvents/charge.refund_1", {
+    event: "charge.refund",
+    data: {},
+    status: "processing",
+    processingAt: Date.now() - 1000,
+    attempts: 1,
+  });
+
+  assert.deepEqual(await retryStalledEvents(), {
+    due: 0,
+    processed: 0,
+    failed: 0,
+  });
+});
+
+test("a stale claim is retried by the retry job", async () => {
+  fakeFirebase.seed("PaystackEvents/charge.refund_1", {
+    event: "charge.refund",
+    data: {},
+    status: "processing",
+    processingAt: Date.now() - LEASE_MS - 1000,
+    attempts: 1,
+  });
+
+  const result = await retryStalledEvents();
+
+  assert.equal(result.processed, 1);
+  const stored = fakeFirebase.read("PaystackEvents/charge.refund_1");
+  assert.equal(stored.status, "unhandled");
+  assert.equal(stored.attempts, 2);
+});
+
+test("events out of attempts are left for a manual replay", async () => {
+  fakeFirebase.seed("PaystackEvents/charge.refund_1", {
+    event: "charge.refund",
+    data: {},
+    status: "failed",
+    attempts: 8,
+  });
+
+  assert.equal((await retryStalledEvents()).due, 0);
+});
@@ -0,0 +1,60 @@
+// test/rateLimit.test.js
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fakeFirebase = require("./support/fakeFirebase");
+
+fakeFirebase.install();
+
+const {
+  RATE_LIMITS,
+  loadRateLimits,
+  createMemoryStore,
+} = require("../lib/rateLimit");
+
+test("an override replaces only the buckets it names", () => {
+  const limits = loadRateLimits(
+    JSON.stringify({ ai: { user: { capacity: 10, perMinute: 5 } } }),
+  );
+
+  assert.deepEqual(limits.ai.user, { capacity: 10, perMinute: 5 });
+  assert.deepEqual(limits.ai.ip, RATE_LIMITS.ai.ip);
+});
+
+test("overrides that would break the bucket math keep the default", () => {
+  const limits = loadRateLimits(
+    JSON.stringify({
+      ai: { user: { capacity: 5, perMinute: 0 } },
+      broadcast: { ip: { capacity: 10 } },
+      account_email: { user: { capacity: 0, perMinute: 1 } },
+      user_push: "lots",
+    }),
+  );
+
+  assert.deepEqual(limits.ai, RATE_LIMITS.ai);
+  assert.deepEqual(limits.broadcast, RATE_LIMITS.broadcast);
+  assert.deepEqual(limits.account_email, RATE_LIMITS.account_email);
+  assert.deepEqual(limits.user_push, RATE_LIMITS.user_push);
+});
+
+test("a null bucket turns that check off", () => {
+  const limits = loadRateLimits(JSON.stringify({ ai: { ip: null } }));
+
+  assert.equal(limits.ai.ip, null);
+  assert.deepEqual(limits.ai.user, RATE_LIMITS.ai.user);
+});
+
+test("unparseable overrides fall back to the defaults", () => {
+  assert.deepEqual(loadRateLimits("{nope"), RATE_LIMITS);
+});
+
+test("a bucket refuses once empty and says when to retry", async () => {
+  const store = createMemoryStore();
+  const limit = { capacity: 2, perMinute: 1 };
+
+  assert.equal((await store.take("k", limit)).allowed, true);
+  assert.equal((await store.take("k", limit)).allowed, true);
+  const denied = await store.take("k", limit);
+  assert.equal(denied.allowed, false);
+  assert.ok(denied.retryAfterMs > 0 && denied.retryAfterMs <= 60000);
+});
@@ -0,0 +1,226 @@
+// test/reconciliation.test.js
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fakeFirebase = require("./support/fakeFirebase");
+const { createPaystackStandIn } = require("../dev/paystackStandIn");
+
+fakeFirebase.install();
+
+const HOUR = 60 * 60 * 1000;
+
+let standIn;
+let server;
+let reconciliation;
+
+before(async () => {
+  standIn = createPaystackStandIn();
+  server = await new Promise((resolve) => {
+    const listening = standIn.app.listen(0, () => resolve(listening));
+  });
+  // lib/paystack reads the base URL once, when first required
+  process.env.PAYSTACK_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  reconciliation = require("../lib/reconciliation");
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  fakeFirebase.reset();
+  standIn.state.transfers.clear();
+  standIn.state.transactions.clear();
+});
+
+function hoursAgo(hours) {
+  return Date.now() - hours * HOUR;
+}
+
+function remoteTransfer(reference, amount, status, at = hoursAgo(1)) {
+  standIn.state.transfers.set(reference, {
+    reference,
+    amount,
+    status,
+    createdAt: new Date(at).toISOString(),
+  });
+}
+
+function localWithdrawal(reference, net, status, requestedAt = hoursAgo(1)) {
+  fakeFirebase.seed(`transactions/${reference}`, {
+    type: "debit",
+    reference,
+    amount: net + 50,
+    net,
+    status,
+    requestedAt,
+  });
+}
+
+function issueTypes(issues) {
+  return issues.map((issue) => `${issue.type}:${issue.reference}`).sort();
+}
+
+/* =========================
+   compareRecords
+========================= */
+test("compareRecords passes matching records", () => {
+  const issues = reconciliation.compareRecords({
+    remote: {
+      transfer: [{ reference: "wd_1", amount: 100000, status: "success" }],
+    },
+    local: [
+      {
+        channel: "transfer",
+        kind: "withdrawal",
+        reference: "wd_1",
+        amount: 100000,
+        status: "success",
+      },
+    ],
+  });
+
+  assert.deepEqual(issues, []);
+});
+
+test("compareRecords reports every kind of disagreement", () => {
+  const now = Date.now();
+  const issues = reconciliation.compareRecords(
+    {
+      remote: {
+        transfer: [
+          { reference: "wd_amount", amount: 60000, status: "success" },
+          { reference: "wd_ghost", amount: 20000, status: "success" },
+          { reference: "wd_status", amount: 10000, status: "failed" },
+          { reference: "wd_stuck", amount: 10000, status: "pending" },
+        ],
+        transaction: [
+          { reference: "tu_abandoned", amount: 5000, status: "abandoned" },
+        ],
+      },
+      local: [
+        ["transfer", "wd_amount", 50000, "success"],
+        ["transfer", "wd_status", 10000, "success"],
+        ["transfer", "wd_stuck", 10000, "pending", now - 30 * HOUR],
+        ["transfer", "wd_lost", 30000, "success"],
+        ["transfer", "wd_rejected", 30000, "failed"],
+        ["transaction", "tu_abandoned", 5000, "pending"],
+        ["transaction", "tu_unpaid", 5000, "pending"],
+      ].map(([channel, reference, amount, status, requestedAt]) => ({
+        channel,
+        kind: channel === "transfer" ? "withdrawal" : "topup",
+        reference,
+        amount,
+        status,
+        requestedAt: requestedAt || now - HOUR,
+      })),
+    },
+    now,
+  );
+
+  assert.deepEqual(issueTypes(issues), [
+    "amount_mismatch:wd_amount",
+    "missing_local:wd_ghost",
+    "missing_remote:wd_lost",
+    "status_mismatch:tu_abandoned",
+    "status_mismatch:wd_status",
+    "stuck_pending:wd_stuck",
+  ]);
+});
+
+/* =========================
+   reconcile against the stand-in
+========================= */
+test("reconcile stores a report of what Paystack disagrees with", async () => {
+  localWithdrawal("wd_ok", 1000, "success");
+  remoteTransfer("wd_ok", 100000, "success");
+
+  localWithdrawal("wd_amount", 500, "success");
+  remoteTransfer("wd_amount", 60000, "success");
+
+  remoteTransfer("wd_ghost", 20000, "success");
+
+  localWithdrawal("wd_lost", 300, "success");
+
+  localWithdrawal("wd_stuck", 100, "pending", hoursAgo(30));
+  remoteTransfer("wd_stuck", 10000, "pending", hoursAgo(30));
+
+  fakeFirebase.seed("transactions/tu_1", {
+    type: "credit",
+    reference: "tu_1",
+    amount: 2000,
+    status: "success",
+    requestedAt: hoursAgo(2),
+  });
+  standIn.state.transactions.set("tu_1", {
+    reference: "tu_1",
+    amount: 200000,
+    status: "success",
+    createdAt: new Date(hoursAgo(2)).toISOString(),
+  });
+
+  const result = await reconciliation.reconcile({ triggeredBy: "test" });
+
+  assert.deepEqual(result.issueCounts, {
+    amount_mismatch: 1,
+    missing_local: 1,
+    missing_remote: 1,
+    stuck_pending: 1,
+  });
+
+  const report = await reconciliation.getReport(result.reportId);
+  assert.equal(report.triggeredBy, "test");
+  assert.equal(report.counts.remoteTransfers, 4);
+  assert.equal(report.counts.remoteTransactions, 1);
+  assert.deepEqual(issueTypes(report.issues), [
+    "amount_mismatch:wd_amount",
+    "missing_local:wd_ghost",
+    "missing_remote:wd_lost",
+    "stuck_pending:wd_stuck",
+  ]);
+});
+
+test("reconcile finds a record requested just before the range", async () => {
+  const to = Date.now();
+  const from = to - 24 * HOUR;
+
+  // Requested before from, but Paystack stamped it inside the range
+  localWithdrawal("wd_edge", 1000, "success", from - 10 * 60 * 1000);
+  remoteTransfer("wd_edge", 100000, "success", from + 60 * 1000);
+
+  const result = await reconciliation.reconcile({ from, to });
+
+  assert.equal(result.issueCount, 0);
+});
+
+test("reconcile looks up out-of-range records by their reference field", async () => {
+  const to = Date.now();
+  const from = to - 24 * HOUR;
+  const before = from - 10 * 60 * 1000;
+
+  // Older withdrawals were saved under a generated id
+  fakeFirebase.seed("transactions/AbC123generated", {
+    type: "debit",
+    reference: "legacy_wd",
+    amount: 1050,
+    net: 1000,
+    status: "success",
+    requestedAt: before,
+  });
+  remoteTransfer("legacy_wd", 100000, "success", from + 60 * 1000);
+  // Not a valid doc id, so it can only be found by querying
+  remoteTransfer("odd/ref", 5000, "success", from + 60 * 1000);
+  // More unknown references than one "in" filter takes
+  for (let i = 0; i < 40; i++) {
+    remoteTransfer(`ghost_${i}`, 1000, "success", from + 2 * 60 * 1000);
+  }
+
+  const result = await reconciliation.reconcile({ from, to });
+
+  assert.deepEqual(result.issueCounts, { missing_local: 41 });
+});
+
+test("reconcile refuses a range that ends before it starts", async () => {
+  await assert.rejects(reconciliation.reconcile({ from: 2000, to: 1000 }), {
+    status: 400,
+    code: "INVALID_RANGE",
+  });
+});
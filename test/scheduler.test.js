@@ -0,0 +1,50 @@
+// test/scheduler.test.js
+
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fakeFirebase = require("./support/fakeFirebase");
+
+fakeFirebase.install();
+
+const scheduler = require("../lib/scheduler");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+scheduler.defineJob("tidy", "0 * * * *", async () => ({ tidied: 3 }));
+
+beforeEach(() => fakeFirebase.reset());
+
+test("runs are stored with an expiry for the TTL policy", async () => {
+  const run = await scheduler.runNow("tidy", { triggeredBy: "admin-1" });
+
+  const stored = fakeFirebase.read(`ScheduledJobs/tidy/Runs/${run.runId}`);
+  assert.equal(stored.outcome, "success");
+  assert.deepEqual(stored.result, { tidied: 3 });
+  assert.ok(stored.expiresAt instanceof Date);
+  assert.equal(stored.expiresAt.getTime(), stored.startedAt + 30 * DAY);
+
+  const job = fakeFirebase.read("ScheduledJobs/tidy");
+  assert.equal(job.lease, undefined);
+  assert.equal(job.lastRun.runId, run.runId);
+  assert.equal(job.lastRun.expiresAt, undefined);
+});
+
+test("the lease is released when the run can't be recorded", async () => {
+  const collectionProto = Object.getPrototypeOf(
+    fakeFirebase.db.collection("x"),
+  );
+  const add = mock.method(collectionProto, "add", async () => {
+    throw new Error("UNAVAILABLE");
+  });
+
+  try {
+    await assert.rejects(scheduler.runNow("tidy"), /UNAVAILABLE/);
+  } finally {
+    add.mock.restore();
+  }
+
+  assert.equal(fakeFirebase.read("ScheduledJobs/tidy").lease, undefined);
+  // Not stuck behind its own lease
+  const run = await scheduler.runNow("tidy");
+  assert.equal(run.outcome, "success");
+});
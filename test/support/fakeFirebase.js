@@ -0,0 +1,533 @@
+// test/support/fakeFirebase.js
+
+const Module = require("module");
+const path = require("path");
+const crypto = require("crypto");
+
+/* =========================
+   FAKE FIREBASE
+   An in-memory stand-in for the parts of firebase-admin lib/ uses.
+   Like real Firestore it rejects undefined values and ids with "/",
+   so tests catch the writes production would refuse. Call install()
+   before requiring anything from lib/.
+========================= */
+const store = new Map();
+
+function clone(value) {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = clone(v);
+    return out;
+  }
+  return value;
+}
+
+/* ---------- sentinels ---------- */
+class Sentinel {
+  constructor(kind, args) {
+    this.kind = kind;
+    this.args = args;
+  }
+}
+
+const FieldValue = {
+  serverTimestamp: () => new Sentinel("serverTimestamp"),
+  increment: (n) => new Sentinel("increment", [n]),
+  arrayUnion: (...items) => new Sentinel("arrayUnion", items),
+  arrayRemove: (...items) => new Sentinel("arrayRemove", items),
+  delete: () => new Sentinel("delete"),
+};
+
+const DOCUMENT_ID = { documentId: true };
+const FieldPath = { documentId: () => DOCUMENT_ID };
+
+function firestoreError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function assertNoUndefined(value, where) {
+  if (value === undefined) {
+    throw new Error(
+      `Cannot use "undefined" as a Firestore value (found in field "${where}")`,
+    );
+  }
+  if (value instanceof Sentinel || value instanceof Date) return;
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => assertNoUndefined(item, `${where}.${i}`));
+  } else if (value && typeof value === "object") {
+    for (const [k, v] of Object.entries(value)) {
+      assertNoUndefined(v, where ? `${where}.${k}` : k);
+    }
+  }
+}
+
+function resolveSentinel(current, value) {
+  switch (value.kind) {
+    case "serverTimestamp":
+      return new Date();
+    case "increment":
+      return (typeof current === "number" ? current : 0) + value.args[0];
+    case "arrayUnion": {
+      const list = Array.isArray(current) ? [...current] : [];
+      for (const item of value.args) if (!list.includes(item)) list.push(item);
+      return list;
+    }
+    case "arrayRemove":
+      return (Array.isArray(current) ? current : []).filter(
+        (item) => !value.args.includes(item),
+      );
+    default:
+      throw new Error(`Unhandled sentinel ${value.kind}`);
+  }
+}
+
+function applyValue(target, key, value) {
+  if (value instanceof Sentinel) {
+    if (value.kind === "delete") delete target[key];
+    else target[key] = resolveSentinel(target[key], value);
+    return;
+  }
+  target[key] = resolveDeep(value);
+}
+
+function resolveDeep(value) {
+  if (value instanceof Sentinel) return resolveSentinel(undefined, value);
+  if (value instanceof Date || !value || typeof value !== "object") {
+    return value;
+  }
+  if (Array.isArray(value)) return value.map(resolveDeep);
+  const out = {};
+  for (const [k, v] of Object.entries(value)) applyValue(out, k, v);
+  return out;
+}
+
+function mergeInto(target, data) {
+  for (const [k, v] of Object.entries(data)) {
+    const plain =
+      v && typeof v === "object" && !Array.isArray(v) && !(v instanceof Date);
+    if (plain && !(v instanceof Sentinel)) {
+      if (!target[k] || typeof target[k] !== "object") target[k] = {};
+      mergeInto(target[k], v);
+    } else {
+      applyValue(target, k, v);
+    }
+  }
+}
+
+function updateInto(target, data) {
+  for (const [field, v] of Object.entries(data)) {
+    const parts = field.split(".");
+    let node = target;
+    for (const part of parts.slice(0, -1)) {
+      if (!node[part] || typeof node[part] !== "object") node[part] = {};
+      node = node[part];
+    }
+    applyValue(node, parts[parts.length - 1], v);
+  }
+}
+
+function getField(data, field) {
+  return field
+    .split(".")
+    .reduce((node, part) => (node == null ? undefined : node[part]), data);
+}
+
+/* ---------- snapshots ---------- */
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this.exists ? clone(this._data) : undefined;
+  }
+
+  get(field) {
+    return this.exists ? clone(getField(this._data, field)) : undefined;
+  }
+}
+
+/* ---------- references ---------- */
+function autoId() {
+  return crypto.randomBytes(10).toString("hex");
+}
+
+function checkId(id) {
+  if (typeof id !== "string" || !id || id.includes("/")) {
+    throw new Error(`Invalid document id "${id}"`);
+  }
+}
+
+class DocumentReference {
+  constructor(collectionPath, id) {
+    checkId(id);
+    this.id = id;
+    this.path = `${collectionPath}/${id}`;
+  }
+
+  collection(name) {
+    return new CollectionReference(`${this.path}/${name}`);
+  }
+
+  async get() {
+    return readDoc(this);
+  }
+
+  async set(data, options) {
+    writeSet(this, data, options);
+  }
+
+  async update(data) {
+    writeUpdate(this, data);
+  }
+
+  async create(data) {
+    writeCreate(this, data);
+  }
+
+  async delete() {
+    store.delete(this.path);
+  }
+}
+
+function readDoc(ref) {
+  const data = store.get(ref.path);
+  return new DocumentSnapshot(ref, data === undefined ? undefined : data);
+}
+
+function writeSet(ref, data, { merge = false } = {}) {
+  assertNoUndefined(data, "");
+  const existing = store.get(ref.path);
+  if (merge && existing) {
+    const next = clone(existing);
+    mergeInto(next, data);
+    store.set(ref.path, next);
+  } else {
+    store.set(ref.path, resolveDeep(data));
+  }
+}
+
+function writeUpdate(ref, data) {
+  assertNoUndefined(data, "");
+  const existing = store.get(ref.path);
+  if (!existing) {
+    throw firestoreError(5, `5 NOT_FOUND: No document to update: ${ref.path}`);
+  }
+  const next = clone(existing);
+  updateInto(next, data);
+  store.set(ref.path, next);
+}
+
+function writeCreate(ref, data) {
+  if (store.has(ref.path)) {
+    throw firestoreError(6, `6 ALREADY_EXISTS: ${ref.path}`);
+  }
+  writeSet(ref, data);
+}
+
+/* ---------- queries ---------- */
+const OPS = {
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  in: (a, b) => b.includes(a),
+  "array-contains": (a, b) => Array.isArray(a) && a.includes(b),
+};
+
+function fieldOf(doc, field) {
+  return field === DOCUMENT_ID ? doc.id : getField(doc.data, field);
+}
+
+class Query {
+  constructor(collectionPath, spec = {}) {
+    this.collectionPath = collectionPath;
+    this.spec = { filters: [], orders: [], ...spec };
+  }
+
+  _with(extra) {
+    return new Query(this.collectionPath, { ...this.spec, ...extra });
+  }
+
+  where(field, op, value) {
+    if (!OPS[op]) throw new Error(`Unsupported operator ${op}`);
+    if (op === "in" && (!Array.isArray(value) || value.length > 30)) {
+      throw new Error("'in' filters support up to 30 values");
+    }
+    return this._with({
+      filters: [...this.spec.filters, { field, op, value }],
+    });
+  }
+
+  orderBy(field, direction = "asc") {
+    return this._with({ orders: [...this.spec.orders, { field, direction }] });
+  }
+
+  limit(limit) {
+    return this._with({ limit });
+  }
+
+  startAfter(cursor) {
+    return this._with({ startAfter: cursor });
+  }
+
+  select(...fields) {
+    return this._with({ select: fields });
+  }
+
+  count() {
+    return {
+      get: async () => {
+        const snap = await this.get();
+        return { data: () => ({ count: snap.size }) };
+      },
+    };
+  }
+
+  _matches() {
+    const prefix = `${this.collectionPath}/`;
+    let docs = [];
+    for (const [docPath, data] of store) {
+      if (!docPath.startsWith(prefix)) continue;
+      const id = docPath.slice(prefix.length);
+      if (id.includes("/")) continue;
+      docs.push({ id, data });
+    }
+
+    for (const { field, op, value } of this.spec.filters) {
+      docs = docs.filter((doc) => {
+        const actual = fieldOf(doc, field);
+        return actual !== undefined && OPS[op](actual, value);
+      });
+    }
+
+    const orders = this.spec.orders.length
+      ? this.spec.orders
+      : [{ field: DOCUMENT_ID, direction: "asc" }];
+    docs.sort((a, b) => {
+      for (const { field, direction } of orders) {
+        const x = fieldOf(a, field);
+        const y = fieldOf(b, field);
+        if (x === y) continue;
+        const cmp = x < y ? -1 : 1;
+        return direction === "desc" ? -cmp : cmp;
+      }
+      return 0;
+    });
+
+    const cursor = this.spec.startAfter;
+    if (cursor !== undefined) {
+      const cursorId = cursor instanceof DocumentSnapshot ? cursor.id : cursor;
+      const at = docs.findIndex((doc) => doc.id === cursorId);
+      if (at >= 0) docs = docs.slice(at + 1);
+    }
+    if (this.spec.limit != null) docs = docs.slice(0, this.spec.limit);
+    return docs;
+  }
+
+  async get() {
+    const docs = this._matches().map((doc) => {
+      let data = doc.data;
+      if (this.spec.select) {
+        data = {};
+        for (const field of this.spec.select) {
+          if (doc.data[field] !== undefined) data[field] = doc.data[field];
+        }
+      }
+      return new DocumentSnapshot(
+        new DocumentReference(this.collectionPath, doc.id),
+        data,
+      );
+    });
+    return {
+      docs,
+      size: docs.length,
+      empty: docs.length === 0,
+      forEach: (fn) => docs.forEach(fn),
+    };
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(collectionPath) {
+    super(collectionPath);
+    this.id = collectionPath.split("/").pop();
+    this.path = collectionPath;
+  }
+
+  doc(id = autoId()) {
+    return new DocumentReference(this.path, id);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+/* ---------- batches and transactions ---------- */
+class WriteBatch {
+  constructor() {
+    this.writes = [];
+  }
+
+  set(ref, data, options) {
+    assertNoUndefined(data, "");
+    this.writes.push(() => writeSet(ref, data, options));
+    return this;
+  }
+
+  update(ref, data) {
+    assertNoUndefined(data, "");
+    this.writes.push(() => writeUpdate(ref, data));
+    return this;
+  }
+
+  create(ref, data) {
+    assertNoUndefined(data, "");
+    this.writes.push(() => writeCreate(ref, data));
+    return this;
+  }
+
+  delete(ref) {
+    this.writes.push(() => store.delete(ref.path));
+    return this;
+  }
+
+  async commit() {
+    // All or nothing, like Firestore
+    const before = new Map(store);
+    try {
+      for (const write of this.writes) write();
+    } catch (err) {
+      store.clear();
+      for (const [k, v] of before) store.set(k, v);
+      throw err;
+    }
+  }
+}
+
+// Remembers what it read; commit() refuses if any of it changed since,
+// and runTransaction() runs the callback again, like Firestore does
+class Transaction extends WriteBatch {
+  constructor() {
+    super();
+    this.reads = new Map();
+  }
+
+  async get(refOrQuery) {
+    if (refOrQuery instanceof Query) {
+      const snap = await refOrQuery.get();
+      for (const doc of snap.docs)
+        this.reads.set(doc.ref.path, store.get(doc.ref.path));
+      return snap;
+    }
+    this.reads.set(refOrQuery.path, store.get(refOrQuery.path));
+    return readDoc(refOrQuery);
+  }
+
+  isStale() {
+    for (const [docPath, data] of this.reads) {
+      if (store.get(docPath) !== data) return true;
+    }
+    return false;
+  }
+}
+
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+const db = {
+  collection: (name) => new CollectionReference(name),
+  batch: () => new WriteBatch(),
+  async runTransaction(fn) {
+    for (let attempt = 1; attempt <= MAX_TRANSACTION_ATTEMPTS; attempt++) {
+      const tx = new Transaction();
+      const result = await fn(tx);
+      if (tx.isStale()) continue;
+      await tx.commit();
+      return result;
+    }
+    throw firestoreError(10, "10 ABORTED: Too much contention");
+  },
+  async getAll(...refs) {
+    return refs.map(readDoc);
+  },
+  settings() {},
+};
+
+/* ---------- auth ---------- */
+// Tokens are "token-<uid>"; users are added with addUser()
+const users = new Map();
+
+const auth = {
+  async verifyIdToken(token) {
+    const uid = String(token).replace(/^token-/, "");
+    const user = users.get(uid);
+    if (!user || token !== `token-${uid}`) {
+      throw firestoreError("auth/argument-error", "Invalid token");
+    }
+    return { uid, email: user.email || null, ...user.claims };
+  },
+  async getUser(uid) {
+    const user = users.get(uid);
+    if (!user) throw firestoreError("auth/user-not-found", "No user");
+    return { uid, email: user.email || null };
+  },
+  async generateEmailVerificationLink(email) {
+    return `https://auth.test/verify?email=${email}`;
+  },
+  async generatePasswordResetLink(email) {
+    return `https://auth.test/reset?email=${email}`;
+  },
+  async generateVerifyAndChangeEmailLink(email, newEmail) {
+    return `https://auth.test/change?email=${email}&to=${newEmail}`;
+  },
+  async getUserByEmail(email) {
+    for (const [uid, user] of users) {
+      if (user.email === email) return { uid, email };
+    }
+    throw firestoreError("auth/user-not-found", "No user");
+  },
+};
+
+const firestore = Object.assign(() => db, { FieldValue, FieldPath });
+const admin = { firestore, auth: () => auth };
+
+function addUser(uid, { email, claims } = {}) {
+  users.set(uid, { email, claims: claims || {} });
+}
+
+// Seeds a document directly, bypassing validation
+function seed(docPath, data) {
+  store.set(docPath, clone(data));
+}
+
+function read(docPath) {
+  return clone(store.get(docPath));
+}
+
+function reset() {
+  store.clear();
+  users.clear();
+}
+
+function install() {
+  const file = path.resolve(__dirname, "../../lib/firebase.js");
+  const mod = new Module(file);
+  mod.filename = file;
+  mod.loaded = true;
+  mod.exports = { admin, db };
+  require.cache[file] = mod;
+}
+
+module.exports = { admin, db, store, install, addUser, seed, read, reset };
@@ -0,0 +1,41 @@
+// test/support/http.js
+
+const express = require("express");
+const { errorHandler } = require("../../lib/errors");
+
+/* =========================
+   TEST SERVER
+   Mounts a router behind the real error handler on a free port.
+   request(method, path, { body, token }) -> { status, body }.
+========================= */
+async function startApp(basePath, router) {
+  const app = express();
+  app.use(express.json());
+  app.use(basePath, router);
+  app.use(errorHandler);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, { body, token } = {}) {
+    const headers = { "Content-Type": "application/json" };
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+  }
+
+  return {
+    request,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+module.exports = { startApp };
@@ -0,0 +1,99 @@
+// test/topups.test.js
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fakeFirebase = require("./support/fakeFirebase");
+const { createPaystackStandIn } = require("../dev/paystackStandIn");
+
+fakeFirebase.install();
+
+let standIn;
+let server;
+let topups;
+let paystackEvents;
+
+before(async () => {
+  standIn = createPaystackStandIn();
+  server = await new Promise((resolve) => {
+    const listening = standIn.app.listen(0, () => resolve(listening));
+  });
+  // lib/paystack reads the base URL once, when first required
+  process.env.PAYSTACK_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  topups = require("../lib/topups");
+  paystackEvents = require("../lib/paystackEvents");
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  fakeFirebase.reset();
+  standIn.state.transactions.clear();
+});
+
+// Starts a checkout and has the customer pay it at the stand-in
+async function paidTopUp(amount) {
+  const { reference } = await topups.initializeTopUp({
+    userId: "user-1",
+    amount,
+    email: "ada@example.com",
+  });
+  const charge = standIn.state.transactions.get(reference);
+  charge.status = "success";
+  return { reference, charge };
+}
+
+function webhook(charge) {
+  return paystackEvents.handleWebhookEvent({
+    event: "charge.success",
+    data: { id: 101, ...charge },
+  });
+}
+
+function topupEntries() {
+  return [...fakeFirebase.store.keys()].filter((docPath) =>
+    docPath.startsWith("LedgerEntries/topup-"),
+  );
+}
+
+test("a top-up paid once is credited once by the webhook and verify", async () => {
+  const { reference, charge } = await paidTopUp(2500);
+
+  await webhook(charge);
+  const verified = await topups.verifyTopUp(reference, "user-1");
+
+  assert.equal(verified.status, "success");
+  assert.deepEqual(topupEntries(), [`LedgerEntries/topup-${reference}`]);
+  assert.equal(fakeFirebase.read("Balance/user-1").Amount, 2500);
+});
+
+test("the webhook and verify arriving together still credit once", async () => {
+  const { reference, charge } = await paidTopUp(2500);
+
+  const [event, verified] = await Promise.all([
+    webhook(charge),
+    topups.verifyTopUp(reference, "user-1"),
+  ]);
+
+  assert.equal(event.status, "processed");
+  assert.equal(verified.status, "success");
+  assert.equal(topupEntries().length, 1);
+  assert.equal(fakeFirebase.read("Balance/user-1").Amount, 2500);
+  assert.equal(
+    fakeFirebase.read(`transactions/${reference}`).status,
+    "success",
+  );
+});
+
+test("an unpaid top-up is not credited on verify", async () => {
+  const { reference } = await topups.initializeTopUp({
+    userId: "user-1",
+    amount: 2500,
+    email: "ada@example.com",
+  });
+
+  const verified = await topups.verifyTopUp(reference, "user-1");
+
+  assert.equal(verified.status, "abandoned");
+  assert.deepEqual(topupEntries(), []);
+  assert.equal(fakeFirebase.read("Balance/user-1"), undefined);
+});
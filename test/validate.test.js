@@ -0,0 +1,118 @@
+// test/validate.test.js
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fakeFirebase = require("./support/fakeFirebase");
+
+fakeFirebase.install();
+
+const { startApp } = require("./support/http");
+const router = require("../routes/escrow");
+
+let app;
+
+before(async () => {
+  app = await startApp("/escrow", router);
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  fakeFirebase.reset();
+  fakeFirebase.addUser("client-1");
+  fakeFirebase.addUser("admin-1", { claims: { admin: true } });
+  fakeFirebase.seed("jobs/job-1", { userId: "client-1", title: "Logo" });
+});
+
+test("a bad body is refused with every failing field", async () => {
+  const res = await app.request("POST", "/escrow", {
+    token: "token-client-1",
+    body: { freelancerId: 5, jobpost: "  ", amount: "500" },
+  });
+
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body, {
+    error: {
+      code: "VALIDATION_FAILED",
+      message:
+        "Invalid request: freelancerId must be a string; jobpost is required; amount must be a whole number",
+      details: {
+        fields: [
+          { field: "freelancerId", message: "must be a string" },
+          { field: "jobpost", message: "is required" },
+          { field: "amount", message: "must be a whole number" },
+        ],
+      },
+    },
+  });
+  assert.equal(fakeFirebase.store.size, 1);
+});
+
+test("list entries and enums are checked one by one", async () => {
+  const dispute = await app.request("POST", "/escrow/escrow-1/dispute", {
+    token: "token-client-1",
+    body: { reason: "Never delivered", evidence: ["upload-1", 7, ""] },
+  });
+
+  assert.equal(dispute.status, 400);
+  assert.deepEqual(dispute.body.error.details.fields, [
+    { field: "evidence[1]", message: "must be a string" },
+    { field: "evidence[2]", message: "is required" },
+  ]);
+
+  const resolve = await app.request(
+    "POST",
+    "/escrow/escrow-1/dispute/resolve",
+    {
+      token: "token-admin-1",
+      body: { outcome: "keep", freelancerAmount: 0 },
+    },
+  );
+
+  assert.equal(resolve.status, 400);
+  assert.deepEqual(resolve.body.error.details.fields, [
+    { field: "outcome", message: "must be one of release, refund, split" },
+    { field: "freelancerAmount", message: "must be at least 0.01" },
+  ]);
+});
+
+test("fields the schema doesn't name never reach the handler", async () => {
+  const res = await app.request("POST", "/escrow", {
+    token: "token-client-1",
+    body: {
+      freelancerId: "worker-1",
+      jobpost: "job-1",
+      amount: 5000,
+      status: "released",
+      isReleased: true,
+    },
+  });
+
+  assert.equal(res.status, 201);
+  assert.equal(res.body.escrow.status, "pending_funding");
+  assert.equal(res.body.escrow.isReleased, false);
+});
+
+test("errors from lib code use the same envelope", async () => {
+  const res = await app.request("POST", "/escrow/escrow-missing/fund", {
+    token: "token-client-1",
+  });
+
+  assert.equal(res.status, 404);
+  assert.deepEqual(res.body, {
+    error: {
+      code: "ESCROW_NOT_FOUND",
+      message: "Escrow not found",
+      details: null,
+    },
+  });
+});
+
+test("a missing token is refused in the envelope", async () => {
+  const res = await app.request("POST", "/escrow", { body: {} });
+
+  assert.equal(res.status, 401);
+  assert.deepEqual(res.body, {
+    error: { code: "UNAUTHORIZED", message: "Unauthorized", details: null },
+  });
+});
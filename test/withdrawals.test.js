@@ -0,0 +1,180 @@
+// test/withdrawals.test.js
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fakeFirebase = require("./support/fakeFirebase");
+const { createPaystackStandIn } = require("../dev/paystackStandIn");
+
+fakeFirebase.install();
+
+const BANK_ACCOUNT_ID = "058-0123456789";
+
+let standIn;
+let server;
+let withdrawals;
+
+before(async () => {
+  standIn = createPaystackStandIn();
+  server = await new Promise((resolve) => {
+    const listening = standIn.app.listen(0, () => resolve(listening));
+  });
+  // lib/paystack reads the base URL once, when first required
+  process.env.PAYSTACK_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  withdrawals = require("../lib/withdrawals");
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  fakeFirebase.reset();
+  standIn.state.transfers.clear();
+  fakeFirebase.seed("Balance/user-1", { Amount: 50000 });
+  fakeFirebase.seed(`users/user-1/BankAccounts/${BANK_ACCOUNT_ID}`, {
+    accountName: "ADEYEMI TOLU GRACE",
+    recipientCode: "RCP_test",
+  });
+});
+
+function withdraw(amount, bankAccountId = BANK_ACCOUNT_ID) {
+  return withdrawals.withdraw({ userId: "user-1", amount, bankAccountId });
+}
+
+function balance() {
+  return fakeFirebase.read("Balance/user-1").Amount;
+}
+
+function account(name) {
+  const stored = fakeFirebase.read(`LedgerAccounts/${name}`);
+  return stored ? stored.balance : 0;
+}
+
+function pastWithdrawal(reference, amount, status) {
+  fakeFirebase.seed(`transactions/${reference}`, {
+    userId: "user-1",
+    type: "debit",
+    amount,
+    reference,
+    status,
+    requestedAt: Date.now() - 60 * 1000,
+  });
+}
+
+/* =========================
+   startOfDay
+========================= */
+test("the withdrawal day starts at midnight in Lagos", () => {
+  // 23:30 UTC on the 9th is already 00:30 on the 10th in Lagos (UTC+1)
+  const now = Date.parse("2026-03-09T23:30:15.250Z");
+
+  assert.equal(
+    withdrawals.startOfDay(now),
+    Date.parse("2026-03-09T23:00:00.000Z"),
+  );
+});
+
+test("the zone can be changed", () => {
+  const now = Date.parse("2026-03-09T23:30:15.250Z");
+
+  assert.equal(
+    withdrawals.startOfDay(now, "UTC"),
+    Date.parse("2026-03-09T00:00:00.000Z"),
+  );
+  assert.equal(
+    withdrawals.startOfDay(now, "America/New_York"),
+    Date.parse("2026-03-09T04:00:00.000Z"),
+  );
+});
+
+/* =========================
+   withdraw
+========================= */
+test("the fee comes out of the amount and only the net is sent", async () => {
+  assert.deepEqual(withdrawals.withdrawalBreakdown(10000), {
+    amount: 10000,
+    fee: 750,
+    net: 9250,
+  });
+
+  const { reference, fee, net } = await withdraw(10000);
+
+  assert.equal(fee, 750);
+  assert.equal(net, 9250);
+  assert.equal(standIn.state.transfers.get(reference).amount, 925000);
+});
+
+test("a withdrawal holds the amount until Paystack settles it", async () => {
+  const { reference } = await withdraw(10000);
+
+  assert.equal(balance(), 40000);
+  assert.equal(account("hold:user-1"), 10000);
+  assert.equal(
+    fakeFirebase.read(`transactions/${reference}`).status,
+    "pending",
+  );
+
+  await withdrawals.settleWithdrawal(reference);
+
+  assert.equal(balance(), 40000);
+  assert.equal(account("hold:user-1"), 0);
+  assert.equal(account("payouts"), 9250);
+  assert.equal(account("fees"), 750);
+});
+
+test("a transfer Paystack rejects releases the hold", async () => {
+  fakeFirebase.seed("users/user-1/BankAccounts/no-recipient", {
+    accountName: "ADEYEMI TOLU GRACE",
+    recipientCode: null,
+  });
+
+  await assert.rejects(withdraw(10000, "no-recipient"));
+
+  const [stored] = [...fakeFirebase.store.entries()]
+    .filter(([docPath]) => docPath.startsWith("transactions/"))
+    .map(([, data]) => data);
+  assert.equal(stored.status, "failed");
+  assert.equal(balance(), 50000);
+  assert.equal(account("hold:user-1"), 0);
+});
+
+test("the daily limit counts today's withdrawals except returned ones", async () => {
+  pastWithdrawal("wd_pending", 150000, "pending");
+  pastWithdrawal("wd_failed", 100000, "failed");
+  pastWithdrawal("wd_reversed", 100000, "reversed");
+
+  await assert.rejects(withdraw(60000), {
+    status: 400,
+    code: "DAILY_LIMIT_EXCEEDED",
+  });
+  assert.equal(balance(), 50000);
+
+  await withdraw(50000);
+  assert.equal(balance(), 0);
+});
+
+test("a settled withdrawal that is reversed goes back to the wallet", async () => {
+  const { reference } = await withdraw(10000);
+  await withdrawals.settleWithdrawal(reference);
+
+  await withdrawals.reverseWithdrawal(reference, "Account closed");
+  // A repeated webhook changes nothing
+  await withdrawals.reverseWithdrawal(reference, "Account closed");
+
+  const stored = fakeFirebase.read(`transactions/${reference}`);
+  assert.equal(stored.status, "reversed");
+  assert.equal(balance(), 50000);
+  assert.equal(account("payouts"), 0);
+  assert.equal(account("fees"), 0);
+});
+
+test("a pending withdrawal that is reversed frees its hold", async () => {
+  const { reference } = await withdraw(10000);
+
+  await withdrawals.reverseWithdrawal(reference, "Account closed");
+
+  assert.equal(
+    fakeFirebase.read(`transactions/${reference}`).status,
+    "reversed",
+  );
+  assert.equal(balance(), 50000);
+  assert.equal(account("hold:user-1"), 0);
+});